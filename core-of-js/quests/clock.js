@@ -0,0 +1,22 @@
+/**
+ * The clock every time-based utility in this folder uses unless it is given a `clock` option:
+ * an object with `now()`, `setTimeout(callback, ms)` and `clearTimeout(id)`, backed here by the
+ * real `Date.now()` and timers. Tests pass `createFakeClock()` (create-fake-clock.js) instead.
+ */
+const systemClock = {
+	now: () => Date.now(),
+	setTimeout: (callback, ms) => setTimeout(callback, ms),
+	clearTimeout: (id) => clearTimeout(id),
+};
+
+/**
+ * Ensures a `clock` option provides the timing functions the time-based utilities rely on.
+ * @throws {TypeError} If `now()`, `setTimeout()` or `clearTimeout()` is missing.
+ */
+function validateClock(clock) {
+	if (!clock || ["now", "setTimeout", "clearTimeout"].some((method) => typeof clock[method] !== "function")) {
+		throw new TypeError("Clock must implement now(), setTimeout(callback, ms) and clearTimeout(id).");
+	}
+}
+
+module.exports = { systemClock, validateClock };
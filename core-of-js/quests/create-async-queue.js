@@ -1,70 +1,1253 @@
+const { systemClock, validateClock } = require("./clock");
+const { createWorkerPool, isWorkerTaskDescriptor, validateWorkerTask } = require("./create-worker-pool");
+
 /**
  * Creates an asynchronous queue that limits the number of concurrently running tasks.
  *
+ * Tasks are started in priority order (higher first). Tasks with the same priority keep
+ * their FIFO order. To stop a steady stream of high-priority work from starving older,
+ * low-priority tasks, a waiting task gains one priority level for every `agingInterval`
+ * milliseconds it spends in the queue.
+ *
+ * Every task is called with `{ signal }`, an `AbortSignal` that fires when the task times out,
+ * is cancelled with `cancel(taskId)`, or is dropped by `clear()`. An aborted task releases its
+ * concurrency slot immediately, even if the underlying work ignores the signal.
+ *
+ * Failed tasks can be retried with fixed or exponential backoff. A task waiting for its next
+ * attempt does not hold a concurrency slot; it re-enters the queue once its delay has passed.
+ *
+ * Besides the concurrency cap, starts can be rate limited with `intervalCap` and `interval`:
+ * no more than `intervalCap` tasks (including retry attempts) start within any sliding window
+ * of `interval` milliseconds. Alternatively (or additionally), a `rateLimiter` - a token bucket
+ * from `createTokenBucket()` - admits each start by taking a token from it, which allows bursts
+ * and lets several queues and throttled functions share one rate limit.
+ *
+ * Tasks can be grouped with a `key` (a user id, a tenant, a host...). `perKeyConcurrency`
+ * caps how many tasks of one key run at once, and keys take turns (round-robin) among tasks
+ * of equal priority, so one noisy key can't monopolise the slots. For keyed tasks, aging only
+ * counts the time their key has gone without service, so a busy key's backlog doesn't age
+ * past newcomers.
+ *
+ * Besides closures, a task can be described as a plain `{ type, payload }` record that is run
+ * by the matching function in `handlers`. Such records are written to `storage` when added and
+ * removed once they settle, so pending work survives a process restart: on creation the queue
+ * reloads whatever the storage still holds and runs it again. A task that was running when the
+ * process died runs again too (at-least-once delivery), so handlers should be idempotent.
+ * Closures aren't stored, so a restored record that still waited for a closure task is skipped.
+ *
+ * CPU-bound work can be moved off the main thread by describing a task as
+ * `{ module, export, args }` instead of a closure: it then runs in a pool of `worker_threads`
+ * (see create-worker-pool.js) as `require(module)[export](...args)`, and its result (or error)
+ * is passed back through the task's promise. The pool grows on demand, so `concurrency` still
+ * caps how many workers are busy, and pausing, priorities and `clear()` work as for any other
+ * task. Aborting a worker task (timeout, `cancel()`, `clear()`) terminates its worker.
+ *
+ * A task can wait for others with `dependsOn: [taskId, ...]`. It stays blocked (not counted
+ * against `concurrency`) until all of its dependencies have completed, and is skipped - its
+ * promise rejects with a `DependencyError` - as soon as one of them fails, is cancelled or is
+ * skipped itself. Dependencies may be added after their dependents; adding a task that would
+ * close a dependency cycle throws. The queue remembers the outcome of the most recent
+ * 1000 settled tasks for this purpose (plus any that blocked tasks still wait on). Once nothing
+ * is running, pending or retrying any more, a blocked task waiting for an id the queue has never
+ * seen - or no longer remembers, e.g. after `clear()` - is skipped too, rather than left blocked.
+ *
+ * Identical work can be shared with a `dedupeKey`: adding a task while another one with the same
+ * key is pending, blocked, retrying or running queues nothing and returns that task's result
+ * promise instead. With `dedupeTTL` a completed task's result keeps being reused for that many
+ * milliseconds; failed tasks are forgotten right away, so the next caller tries again.
+ *
+ * `concurrency` can be changed at runtime with `setConcurrency(n)`. With `adaptive` enabled the
+ * queue also tunes it itself (AIMD): after every `window` finished attempts it halves the limit
+ * if too many failed or they were too slow, and otherwise raises it by one, within
+ * `[minConcurrency, maxConcurrency]`.
+ *
+ * `maxPending` bounds how many tasks may wait (pending or blocked) at once. When `add()` finds
+ * the queue full, `overflowPolicy` decides what happens:
+ * - `"reject"` - the new task is refused: `add()` rejects with a `QueueFullError`.
+ * - `"drop-oldest"` - the oldest waiting task is dropped (its promise rejects with a
+ *   `QueueFullError`) to make room for the new one.
+ * - `"wait"` - backpressure for producers: `add()` returns a promise that resolves with
+ *   `{ id, result }` once the task has been admitted, where `result` is the task's own result
+ *   promise. Under this policy `add()` always resolves to that shape, even when there is room.
+ *
+ * `results()` streams task outcomes as an async iterator, for consumption with `for await`.
+ *
+ * `close()` shuts the queue down for good (e.g. from a SIGTERM handler): further `add()` calls
+ * reject with a `QueueClosedError`, and the returned promise resolves once every task has
+ * settled, either by draining the remaining work or by aborting it.
+ *
+ * `stats()` returns a metrics snapshot (outcome counters, wait and run time percentiles,
+ * throughput and the tasks in flight); `formatPrometheusMetrics()` (format-prometheus-metrics.js)
+ * turns it into the Prometheus text format for a `/metrics` endpoint.
+ *
+ * All timing goes through `clock` (`now()`, `setTimeout()`, `clearTimeout()`), so tests can pass a
+ * fake clock (see `createFakeClock()`) and drive timeouts, retries and rate limits without
+ * real waits.
+ *
+ * Lifecycle events can be observed with `on`, `once` and `off`:
+ * - `add` `{ id, priority }` - a task was added.
+ * - `active` `{ id, attempt }` - a task attempt started running.
+ * - `completed` `{ id, result, duration }` - a task fulfilled.
+ * - `error` `{ id, error, duration }` - a task rejected for good (including cancellations).
+ * - `empty` - the last pending task left the queue (it may still be running).
+ * - `idle` - nothing is pending, retrying or running any more.
+ * - `paused` / `resumed` - the queue was paused or resumed.
+ * - `cleared` `{ count }` - `clear()` dropped `count` waiting tasks.
+ * - `closed` - `close()` was called; no more tasks are accepted.
+ * `duration` is the run time in milliseconds of the task's last attempt (0 if it never started).
+ *
  * @param {object} options - Configuration options for the queue.
  * @param {number} options.concurrency - The maximum number of tasks to run concurrently. Must be a positive integer.
+ * @param {number} [options.agingInterval=1000] - Milliseconds a pending task must wait to gain one priority level. Use `Infinity` to disable aging.
+ * @param {number} [options.timeout] - Default per-task timeout in milliseconds. Tasks run without a time limit if omitted.
+ * @param {number} [options.retries=0] - Default number of retries after a task's first failed attempt.
+ * @param {"fixed"|"exponential"} [options.backoff="exponential"] - Default strategy for spacing out retries.
+ * @param {number} [options.retryDelay=1000] - Default base delay in milliseconds before a retry.
+ * @param {boolean} [options.jitter=false] - Default for randomising each retry delay between 0 and its computed value.
+ * @param {Function} [options.shouldRetry] - Default `(error, attempt) => boolean` predicate. Cancelled tasks are never retried.
+ * @param {number} [options.intervalCap=Infinity] - Maximum number of task starts per `interval`. Must be a positive integer.
+ * @param {number} [options.interval=0] - Length of the rate-limiting window in milliseconds. Required when `intervalCap` is set.
+ * @param {object} [options.rateLimiter] - A token bucket (`tryTake()`, `getWaitTime()`) with a capacity of at least 1; every task start takes one token.
+ * @param {number} [options.perKeyConcurrency=Infinity] - Maximum number of running tasks that share the same `key`.
+ * @param {number} [options.maxWorkers=Infinity] - Upper bound on the worker threads kept for `{ module, export, args }` tasks. Defaults to as many as `concurrency` needs.
+ * @param {object} [options.handlers={}] - Maps a task record's `type` to an `(payload, { signal, attempt }) => Promise` handler.
+ * @param {object} [options.storage] - Where task records are kept. Defaults to `createMemoryStorage()`; see also `createFileStorage()` in create-file-storage.js.
+ * @param {boolean|object} [options.adaptive=false] - Enables adaptive concurrency. Pass `true` for the defaults or an object:
+ * @param {number} [options.adaptive.minConcurrency=1] - Lowest limit the queue backs off to.
+ * @param {number} [options.adaptive.maxConcurrency=concurrency] - Highest limit the queue recovers to.
+ * @param {number} [options.adaptive.window=20] - Number of finished attempts observed before each adjustment.
+ * @param {number} [options.adaptive.errorThreshold=0.2] - Error rate (0-1) above which the limit is cut.
+ * @param {number} [options.adaptive.latencyThreshold=Infinity] - Average attempt duration (ms) above which the limit is cut.
+ * @param {number} [options.maxPending=Infinity] - Maximum number of waiting tasks. Must be a positive integer.
+ * @param {"reject"|"drop-oldest"|"wait"} [options.overflowPolicy="reject"] - What `add()` does when `maxPending` is reached.
+ * @param {number} [options.dedupeTTL=0] - Default milliseconds a completed task's result is reused for callers with the same `dedupeKey`.
+ * @param {object} [options.clock] - Source of time and timers: `{ now, setTimeout, clearTimeout }`. Defaults to the real clock.
  * @returns {object} An object representing the asynchronous queue with methods to add tasks, control its state, and listen for events.
  */
-function createAsyncQueue({ concurrency }) {
+function createAsyncQueue({
+	concurrency,
+	agingInterval = 1000,
+	timeout: defaultTimeout,
+	retries: defaultRetries = 0,
+	backoff: defaultBackoff = "exponential",
+	retryDelay: defaultRetryDelay = 1000,
+	jitter: defaultJitter = false,
+	shouldRetry: defaultShouldRetry = () => true,
+	intervalCap = Infinity,
+	interval = 0,
+	rateLimiter = null,
+	perKeyConcurrency = Infinity,
+	maxWorkers = Infinity,
+	handlers = {},
+	storage = createMemoryStorage(),
+	adaptive = false,
+	maxPending = Infinity,
+	overflowPolicy = "reject",
+	dedupeTTL: defaultDedupeTTL = 0,
+	clock = systemClock,
+}) {
 	if (typeof concurrency !== "number" || concurrency <= 0 || !Number.isInteger(concurrency)) {
 		throw new Error("Concurrency must be a positive integer.");
 	}
+	if (typeof agingInterval !== "number" || !(agingInterval > 0)) {
+		throw new Error("Aging interval must be a positive number (or Infinity to disable aging).");
+	}
+	if (intervalCap !== Infinity && (typeof intervalCap !== "number" || intervalCap <= 0 || !Number.isInteger(intervalCap))) {
+		throw new Error("Interval cap must be a positive integer.");
+	}
+	if (typeof interval !== "number" || !Number.isFinite(interval) || interval < 0) {
+		throw new Error("Interval must be a non-negative number of milliseconds.");
+	}
+	if (intervalCap !== Infinity && interval === 0) {
+		throw new Error("An interval is required when intervalCap is set.");
+	}
+	if (rateLimiter !== null && (!rateLimiter || ["tryTake", "getWaitTime"].some((method) => typeof rateLimiter[method] !== "function"))) {
+		throw new Error("Rate limiter must implement tryTake() and getWaitTime(), like createTokenBucket().");
+	}
+	// Every task start takes one token, which a bucket holding less than one token never has.
+	if (rateLimiter !== null && typeof rateLimiter.getState === "function" && rateLimiter.getState().capacity < 1) {
+		throw new Error("Rate limiter capacity must be at least 1, since every task start takes one token.");
+	}
+	if (
+		perKeyConcurrency !== Infinity &&
+		(typeof perKeyConcurrency !== "number" || perKeyConcurrency <= 0 || !Number.isInteger(perKeyConcurrency))
+	) {
+		throw new Error("Per-key concurrency must be a positive integer.");
+	}
+	if (maxWorkers !== Infinity && (typeof maxWorkers !== "number" || maxWorkers <= 0 || !Number.isInteger(maxWorkers))) {
+		throw new Error("maxWorkers must be a positive integer.");
+	}
+	if (!handlers || typeof handlers !== "object") {
+		throw new Error("Handlers must be an object mapping task types to functions.");
+	}
+	if (!storage || ["load", "save", "remove"].some((method) => typeof storage[method] !== "function")) {
+		throw new Error("Storage must implement load(), save(record) and remove(id).");
+	}
+	if (maxPending !== Infinity && (typeof maxPending !== "number" || maxPending <= 0 || !Number.isInteger(maxPending))) {
+		throw new Error("maxPending must be a positive integer.");
+	}
+	if (!["reject", "drop-oldest", "wait"].includes(overflowPolicy)) {
+		throw new Error('Overflow policy must be "reject", "drop-oldest" or "wait".');
+	}
+	validateClock(clock);
+	validateDedupeTTL(defaultDedupeTTL);
+	const adaptivePolicy = adaptive ? createAdaptivePolicy(concurrency, adaptive === true ? {} : adaptive) : null;
+	validateTimeout(defaultTimeout);
+	validateRetryPolicy({
+		retries: defaultRetries,
+		backoff: defaultBackoff,
+		retryDelay: defaultRetryDelay,
+		jitter: defaultJitter,
+		shouldRetry: defaultShouldRetry,
+	});
 
-	const taskQueue = []; // Stores tasks (functions that return promises)
-	let runningTasks = 0; // Counts currently executing tasks
+	const pendingById = new Map(); // Pending task entries by id: { id, taskFn, priority, key, timeout, retryPolicy, attempt, enqueuedAt, queuedAt, seq, resolve, reject }
+	const lanes = new Map(); // Base priority -> Map of task key -> the pending entries of that priority and key, longest waiting first
+	const activeTasks = new Map(); // Currently executing task entries by id, each holding its AbortController
+	const retryingTasks = new Map(); // Task entries waiting out a retry delay, by id, each holding its timer
+	const blockedTasks = new Map(); // Task entries waiting for their `dependsOn` tasks, by id
+	const settledStatuses = new Map(); // Recently settled task ids -> "completed" | "failed" | "cancelled" | "skipped" | "dropped"
+	let nextTaskId = 1; // Source of automatically assigned task ids
+	let sequence = 0; // Monotonic counter used to keep FIFO order between equal priorities
 	let isPaused = false; // Flag to pause the queue
-	let idlePromise = Promise.resolve(); // Resolves when the queue becomes idle
-	let resolveIdle = () => {}; // Function to resolve the idlePromise
-
-	// Initialize the idlePromise to be resolvable
-	idlePromise = new Promise((resolve) => {
-		resolveIdle = resolve;
-	});
+	const recentStarts = []; // Start timestamps inside the current rate-limiting window
+	let rateLimitTimerId = null; // Wakes the queue up when the rate-limiting window frees a slot
+	const listeners = new Map(); // Event name -> Set of listener functions
+	const keyStates = new Map(); // Task key -> { running, pending, lastServed, lastServedAt } for keys with pending or running tasks
+	let servedCount = 0; // Incremented on every start; orders keys by how recently they were served
+	const resultStreams = new Set(); // Open `results()` iterators: { onAdd(id), onSettle(outcome), onIdle() }
+	const admissionWaiters = []; // Producers waiting for room under the "wait" overflow policy: { task, options, resolve, reject }
+	const createdAt = clock.now();
+	const outcomeCounts = { completed: 0, failed: 0, cancelled: 0, skipped: 0, dropped: 0 }; // Settled tasks by status
+	let retriedCount = 0; // Attempts that ended in a scheduled retry
+	const waitTimes = createSampleWindow(STATS_SAMPLE_SIZE); // Milliseconds between entering the queue and starting
+	const runTimes = createSampleWindow(STATS_SAMPLE_SIZE); // Milliseconds each finished attempt ran for
+	const settledAt = []; // Settle timestamps within the last THROUGHPUT_WINDOW_MS, for throughput
+	let adaptiveSamples = []; // Outcomes ({ ok, duration }) of finished attempts since the last adaptive adjustment
+	let isBusy = false; // Whether work has arrived since the last `idle` event
+	let isRestorePending = false; // Whether stored records are about to be queued again
+	let isOrphanCheckScheduled = false; // Whether `skipOrphanedTasks` is queued as a microtask
+	let isClosed = false; // Set by `close()`; a closed queue accepts no more tasks
+	let closePromise = null; // Shared by repeated `close()` calls
+	let workerPool = null; // Created on the first `{ module, export, args }` task
+	const dedupedResults = new Map(); // dedupeKey -> { result, expiresAt } for unsettled tasks and cached results
+	const idleWaiters = []; // Resolvers of `onIdle()` promises, settled together when the queue goes idle
 
 	// --- Internal Helpers ---
 
+	const isIdle = () =>
+		!isRestorePending &&
+		activeTasks.size === 0 &&
+		pendingById.size === 0 &&
+		retryingTasks.size === 0 &&
+		blockedTasks.size === 0;
+
+	/**
+	 * Calls every listener registered for `event`. A throwing listener is logged and does
+	 * not stop the others (or the queue) from running.
+	 */
+	const emit = (event, payload) => {
+		const eventListeners = listeners.get(event);
+		if (!eventListeners) {
+			return;
+		}
+		// Copy first, so `once` listeners removing themselves don't disturb the iteration.
+		for (const listener of [...eventListeners]) {
+			try {
+				listener(payload);
+			} catch (error) {
+				console.error(`Error in async queue "${event}" listener:`, error);
+			}
+		}
+	};
+
+	const getPendingCount = () => pendingById.size + blockedTasks.size;
+
+	const hasTask = (id) =>
+		activeTasks.has(id) || retryingTasks.has(id) || blockedTasks.has(id) || pendingById.has(id);
+
+	/**
+	 * Resolves pending `onIdle()` promises and emits `idle` if nothing is running or waiting to run.
+	 */
+	const notifyIfIdle = () => {
+		if (blockedTasks.size > 0) {
+			scheduleOrphanCheck();
+		}
+		if (isIdle()) {
+			idleWaiters.splice(0).forEach((resolve) => resolve());
+			const wasBusy = isBusy;
+			if (isBusy) {
+				isBusy = false;
+				emit("idle");
+			}
+			// A closed queue gets no more work, so streams still waiting for some end as well.
+			if (wasBusy || isClosed) {
+				resultStreams.forEach((stream) => stream.onIdle());
+			}
+		}
+	};
+
+	/**
+	 * Computes the priority a pending task is currently scheduled with: its base priority
+	 * plus one level for every full `agingInterval` it has been waiting. A keyed task only
+	 * ages while its key is not being served.
+	 */
+	const effectivePriority = (entry, now) => {
+		let waitingSince = entry.enqueuedAt;
+		const keyState = keyStates.get(entry.key);
+		if (entry.key !== undefined && keyState) {
+			waitingSince = Math.max(waitingSince, keyState.lastServedAt);
+		}
+		return entry.priority + Math.floor((now - waitingSince) / agingInterval);
+	};
+
+	/**
+	 * When did this task's key last get a slot? Keys that were never served come first.
+	 */
+	const lastServedOf = (entry) => {
+		const keyState = keyStates.get(entry.key);
+		return keyState ? keyState.lastServed : 0;
+	};
+
+	/**
+	 * Whether a pending task may start without exceeding its key's concurrency limit.
+	 */
+	const isKeyAvailable = (entry) => {
+		if (entry.key === undefined) {
+			return true;
+		}
+		const keyState = keyStates.get(entry.key);
+		return !keyState || keyState.running < perKeyConcurrency;
+	};
+
+	/**
+	 * Whether pending task `a` has waited longer than `b`: it became ready earlier, or at the
+	 * same time but was added first.
+	 */
+	const isWaitingLonger = (a, b) => a.enqueuedAt < b.enqueuedAt || (a.enqueuedAt === b.enqueuedAt && a.seq < b.seq);
+
+	/**
+	 * Finds the pending task that should run next, or `undefined` if every pending task is
+	 * blocked by its key's limit. Highest effective priority wins; ties go to the key that was
+	 * served least recently, then to the task that was added first.
+	 *
+	 * Tasks of one lane (same priority and key) age alike, so only the head of each lane - the
+	 * one waiting longest - can win, and aging is computed for those heads alone.
+	 */
+	const findNextTask = () => {
+		const now = clock.now();
+		let best;
+		let bestPriority = -Infinity;
+		let bestServed = 0;
+
+		for (const lanesByKey of lanes.values()) {
+			for (const [head] of lanesByKey.values()) {
+				if (!isKeyAvailable(head)) {
+					continue;
+				}
+				const priority = effectivePriority(head, now);
+				const served = lastServedOf(head);
+				if (
+					!best ||
+					priority > bestPriority ||
+					(priority === bestPriority && (served < bestServed || (served === bestServed && head.seq < best.seq)))
+				) {
+					best = head;
+					bestPriority = priority;
+					bestServed = served;
+				}
+			}
+		}
+
+		return best;
+	};
+
+	/**
+	 * Puts a task that is ready to run in its lane. New tasks join at the end; a task returning
+	 * from a retry delay goes back to the place its original age gives it.
+	 */
+	const queueTask = (entry) => {
+		pendingById.set(entry.id, entry);
+		getKeyState(entry.key).pending++;
+		let lanesByKey = lanes.get(entry.priority);
+		if (!lanesByKey) {
+			lanesByKey = new Map();
+			lanes.set(entry.priority, lanesByKey);
+		}
+		const lane = lanesByKey.get(entry.key);
+		if (!lane) {
+			lanesByKey.set(entry.key, [entry]);
+			return;
+		}
+		let low = 0;
+		let high = lane.length;
+		while (low < high) {
+			const middle = (low + high) >>> 1;
+			if (isWaitingLonger(lane[middle], entry)) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+		lane.splice(low, 0, entry);
+	};
+
+	/**
+	 * Removes a pending task from the queue and returns it.
+	 */
+	const takeTask = (entry) => {
+		pendingById.delete(entry.id);
+		keyStates.get(entry.key).pending--;
+		const lanesByKey = lanes.get(entry.priority);
+		const lane = lanesByKey.get(entry.key);
+		// Almost always the head of its lane, which `shift()` removes cheaply.
+		if (lane[0] === entry) {
+			lane.shift();
+		} else {
+			lane.splice(lane.indexOf(entry), 1);
+		}
+		if (lane.length === 0) {
+			lanesByKey.delete(entry.key);
+			if (lanesByKey.size === 0) {
+				lanes.delete(entry.priority);
+			}
+		}
+		if (pendingById.size === 0) {
+			emit("empty");
+		}
+		return entry;
+	};
+
+	/**
+	 * Lets producers that are waiting for room (`overflowPolicy: "wait"`) in, oldest first.
+	 */
+	const admitWaiters = () => {
+		while (admissionWaiters.length > 0 && getPendingCount() < maxPending) {
+			const { task, options, resolve, reject } = admissionWaiters.shift();
+			try {
+				const result = enqueueTask(task, options, { isRestoring: false });
+				resolve({ id: result.id, result });
+			} catch (error) {
+				reject(error);
+			}
+		}
+	};
+
+	/**
+	 * Returns the result promise a new task with `dedupeKey` should share, or `undefined` if
+	 * there is no unsettled task or unexpired result for that key.
+	 */
+	const getDedupedResult = (dedupeKey) => {
+		const shared = dedupeKey === undefined ? undefined : dedupedResults.get(dedupeKey);
+		if (shared && shared.expiresAt <= clock.now()) {
+			dedupedResults.delete(dedupeKey);
+			return undefined;
+		}
+		return shared && shared.result;
+	};
+
+	/**
+	 * Makes `result` the one shared by later tasks with the same `dedupeKey` until it settles,
+	 * or for `ttl` milliseconds after it completes.
+	 */
+	const registerDedupeKey = (dedupeKey, result, ttl) => {
+		const shared = { result, expiresAt: Infinity };
+		dedupedResults.set(dedupeKey, shared);
+		const forget = () => {
+			if (dedupedResults.get(dedupeKey) === shared) {
+				dedupedResults.delete(dedupeKey);
+			}
+		};
+		result.then(() => {
+			if (ttl === 0) {
+				forget();
+				return;
+			}
+			const now = clock.now();
+			shared.expiresAt = now + ttl;
+			// Sweep out expired results so keys that are never asked for again don't pile up.
+			for (const [key, { expiresAt }] of dedupedResults) {
+				if (expiresAt <= now) {
+					dedupedResults.delete(key);
+				}
+			}
+		}, forget);
+	};
+
+	/**
+	 * Makes room under the "drop-oldest" policy by dropping the waiting task (pending or
+	 * blocked) that was added first.
+	 */
+	const dropOldestTask = () => {
+		let oldest = null;
+		for (const entry of [...pendingById.values(), ...blockedTasks.values()]) {
+			if (!oldest || entry.seq < oldest.seq) {
+				oldest = entry;
+			}
+		}
+		const reason = createNamedError("QueueFullError", `Task ${oldest.id} was dropped to make room for a newer task.`);
+		if (blockedTasks.delete(oldest.id)) {
+			failTask(oldest, reason);
+		} else {
+			dropPendingTask(oldest, reason);
+		}
+	};
+
+	/**
+	 * Returns the bookkeeping of `key`, creating it for a key that has none yet.
+	 */
+	const getKeyState = (key) => {
+		let keyState = keyStates.get(key);
+		if (!keyState) {
+			keyState = { running: 0, pending: 0, lastServed: 0, lastServedAt: 0 };
+			keyStates.set(key, keyState);
+		}
+		return keyState;
+	};
+
+	/**
+	 * Records that a task of `key` took a slot.
+	 */
+	const acquireKey = (key) => {
+		const keyState = getKeyState(key);
+		keyState.running++;
+		keyState.lastServed = ++servedCount;
+		keyState.lastServedAt = clock.now();
+	};
+
+	/**
+	 * Forgets a key once nothing of it is running or pending, so keys don't pile up.
+	 */
+	const pruneKey = (key) => {
+		const keyState = keyStates.get(key);
+		if (keyState && keyState.running === 0 && keyState.pending === 0) {
+			keyStates.delete(key);
+		}
+	};
+
+	/**
+	 * Records that a task of `key` gave its slot back.
+	 */
+	const releaseKey = (key) => {
+		keyStates.get(key).running--;
+		pruneKey(key);
+	};
+
+	/**
+	 * Reports a failed task to the queue-wide error handler.
+	 * Deliberate cancellations (`cancel()` / `clear()`) are not failures and are not reported.
+	 */
+	const reportError = (error) => {
+		// Skipped and dropped tasks aren't reported either: they never failed on their own.
+		if (error && ["AbortError", "DependencyError", "QueueFullError"].includes(error.name)) {
+			return;
+		}
+		if (typeof throttledQueue.onError === "function") {
+			throttledQueue.onError(error);
+		} else if (!listeners.has("error")) {
+			// Default error handling if no custom handler or `error` listener is provided
+			console.error("Unhandled error in async queue task:", error);
+		}
+	};
+
+	/**
+	 * Removes a settled task's record from storage so it isn't run again after a restart.
+	 */
+	const forgetRecord = (entry) => {
+		if (!entry.isRecord) {
+			return;
+		}
+		try {
+			storage.remove(entry.id);
+		} catch (error) {
+			console.error(`Failed to remove task ${entry.id} from queue storage:`, error);
+		}
+	};
+
+	/**
+	 * Run time of the task's latest attempt, or 0 if it never started.
+	 */
+	const getDuration = (entry) => (entry.startedAt === undefined ? 0 : clock.now() - entry.startedAt);
+
+	/**
+	 * Removes a completed task from the stored `dependsOn` of the records waiting for it. This
+	 * happens before its own record is removed, so after a restart a stored dependency that is
+	 * missing from storage is known not to have completed.
+	 */
+	const persistCompletedDependency = (id) => {
+		for (const dependent of blockedTasks.values()) {
+			const { record } = dependent;
+			if (!record || !record.options.dependsOn.includes(id)) {
+				continue;
+			}
+			const dependsOn = record.options.dependsOn.filter((dependencyId) => dependencyId !== id);
+			dependent.record = { ...record, options: { ...record.options, dependsOn } };
+			try {
+				storage.save(dependent.record);
+			} catch (error) {
+				console.error(`Failed to update task ${dependent.id} in queue storage:`, error);
+			}
+		}
+	};
+
+	/**
+	 * Settles a task successfully: hands the result to whoever added it and emits `completed`.
+	 */
+	const fulfillTask = (entry, result) => {
+		persistCompletedDependency(entry.id);
+		forgetRecord(entry);
+		entry.resolve(result);
+		emit("completed", { id: entry.id, result, duration: getDuration(entry) });
+		resultStreams.forEach((stream) => stream.onSettle({ id: entry.id, status: "completed", value: result }));
+		recordOutcome(entry.id, "completed");
+	};
+
+	/**
+	 * Settles a task for good with an error: rejects its result promise, emits `error`
+	 * and reports genuine failures to `onError`.
+	 */
+	const failTask = (entry, error) => {
+		if (!entry.keepRecord) {
+			forgetRecord(entry);
+		}
+		entry.reject(error);
+		emit("error", { id: entry.id, error, duration: getDuration(entry) });
+		reportError(error);
+		const status = statusOf(error);
+		resultStreams.forEach((stream) => stream.onSettle({ id: entry.id, status, error }));
+		recordOutcome(entry.id, status);
+	};
+
+	/**
+	 * Classifies why a task failed, for the settled-status history.
+	 */
+	const statusOf = (error) => {
+		if (error && error.name === "AbortError") {
+			return "cancelled";
+		}
+		if (error && error.name === "DependencyError") {
+			return "skipped";
+		}
+		if (error && error.name === "QueueFullError") {
+			return "dropped";
+		}
+		return "failed";
+	};
+
+	/**
+	 * Drops settle timestamps that have left the throughput window.
+	 */
+	const pruneSettledAt = (now) => {
+		while (settledAt.length > 0 && settledAt[0] <= now - THROUGHPUT_WINDOW_MS) {
+			settledAt.shift();
+		}
+	};
+
+	/**
+	 * Remembers how a task settled (so later tasks can depend on it) and unblocks or skips
+	 * the tasks that were waiting for it.
+	 */
+	const recordOutcome = (id, status) => {
+		outcomeCounts[status]++;
+		const now = clock.now();
+		settledAt.push(now);
+		pruneSettledAt(now);
+		settledStatuses.set(id, status);
+		if (settledStatuses.size > SETTLED_HISTORY_LIMIT) {
+			// Maps iterate in insertion order, so the first unreferenced key is the oldest outcome
+			// nobody still needs. Outcomes blocked tasks wait on are kept, or they could never start.
+			const referenced = new Set([...blockedTasks.values()].flatMap((entry) => entry.dependsOn));
+			for (const settledId of settledStatuses.keys()) {
+				if (!referenced.has(settledId)) {
+					settledStatuses.delete(settledId);
+					break;
+				}
+			}
+		}
+
+		for (const dependent of [...blockedTasks.values()]) {
+			if (dependent.dependsOn.includes(id) && blockedTasks.has(dependent.id)) {
+				updateBlockedTask(dependent);
+			}
+		}
+	};
+
+	/**
+	 * Re-checks a blocked task's dependencies: skips it if one of them did not complete,
+	 * or moves it into the queue once all of them have.
+	 */
+	const updateBlockedTask = (entry) => {
+		const failedDependency = entry.dependsOn.find(
+			(dependencyId) => settledStatuses.has(dependencyId) && settledStatuses.get(dependencyId) !== "completed"
+		);
+		if (failedDependency !== undefined) {
+			blockedTasks.delete(entry.id);
+			skipTask(entry, failedDependency, `was ${settledStatuses.get(failedDependency)}`);
+			admitWaiters();
+			notifyIfIdle();
+			return;
+		}
+
+		if (entry.dependsOn.every((dependencyId) => settledStatuses.get(dependencyId) === "completed")) {
+			blockedTasks.delete(entry.id);
+			// Age from the moment the task became ready, not from when it was added.
+			entry.enqueuedAt = clock.now();
+			entry.queuedAt = entry.enqueuedAt;
+			queueTask(entry);
+			runNext();
+		}
+	};
+
+	/**
+	 * Settles a task that was taken out of `blockedTasks` with a `DependencyError` naming the
+	 * dependency that stopped it and why.
+	 */
+	const skipTask = (entry, dependencyId, reason) => {
+		const error = createNamedError("DependencyError", `Task ${entry.id} was skipped because its dependency ${dependencyId} ${reason}.`);
+		error.dependency = dependencyId;
+		failTask(entry, error);
+	};
+
+	/**
+	 * Queues a `skipOrphanedTasks` check. It runs as a microtask, so a dependency added right
+	 * after its dependent (in the same synchronous block) is still picked up.
+	 */
+	const scheduleOrphanCheck = () => {
+		if (isOrphanCheckScheduled) {
+			return;
+		}
+		isOrphanCheckScheduled = true;
+		queueMicrotask(() => {
+			isOrphanCheckScheduled = false;
+			skipOrphanedTasks();
+		});
+	};
+
+	/**
+	 * Skips blocked tasks waiting for ids that are neither scheduled nor remembered as settled,
+	 * once the queue has nothing else to do: no other work could add those ids any more, so
+	 * they would otherwise stay blocked - and keep `onIdle()` and `close()` waiting - forever.
+	 */
+	const skipOrphanedTasks = () => {
+		const isStalled =
+			!isRestorePending &&
+			activeTasks.size === 0 &&
+			pendingById.size === 0 &&
+			retryingTasks.size === 0 &&
+			admissionWaiters.length === 0;
+		if (!isStalled) {
+			return;
+		}
+		for (const entry of [...blockedTasks.values()]) {
+			const unknownDependency = entry.dependsOn.find(
+				(dependencyId) => !settledStatuses.has(dependencyId) && !hasTask(dependencyId)
+			);
+			// Skipping one task can skip others that depend on it, so re-check membership.
+			if (unknownDependency !== undefined && blockedTasks.delete(entry.id)) {
+				skipTask(entry, unknownDependency, "is unknown to the queue");
+			}
+		}
+		admitWaiters();
+		notifyIfIdle();
+	};
+
+	/**
+	 * Whether making task `id` wait for `dependsOn` would close a cycle. Only blocked tasks
+	 * can still be waiting on something, so the search follows their dependencies.
+	 */
+	const wouldCreateCycle = (id, dependsOn) => {
+		const visited = new Set();
+		const stack = [...dependsOn];
+		while (stack.length > 0) {
+			const current = stack.pop();
+			if (current === id) {
+				return true;
+			}
+			if (visited.has(current)) {
+				continue;
+			}
+			visited.add(current);
+			const blocked = blockedTasks.get(current);
+			if (blocked) {
+				stack.push(...blocked.dependsOn);
+			}
+		}
+		return false;
+	};
+
+	/**
+	 * Feeds a finished attempt to the adaptive controller. Once a full window has been seen,
+	 * cuts the limit multiplicatively if the window looks unhealthy, or raises it by one.
+	 */
+	const recordAttempt = (ok, duration) => {
+		runTimes.add(duration);
+		if (!adaptivePolicy) {
+			return;
+		}
+		adaptiveSamples.push({ ok, duration });
+		if (adaptiveSamples.length < adaptivePolicy.window) {
+			return;
+		}
+
+		const failures = adaptiveSamples.filter((sample) => !sample.ok).length;
+		const averageDuration = adaptiveSamples.reduce((sum, sample) => sum + sample.duration, 0) / adaptiveSamples.length;
+		adaptiveSamples = [];
+
+		const { minConcurrency, maxConcurrency, errorThreshold, latencyThreshold } = adaptivePolicy;
+		if (failures / adaptivePolicy.window > errorThreshold || averageDuration > latencyThreshold) {
+			concurrency = Math.max(minConcurrency, Math.floor(concurrency / 2));
+		} else {
+			concurrency = Math.min(maxConcurrency, concurrency + 1);
+			runNext();
+		}
+	};
+
+	/**
+	 * Decides whether a failed attempt should be retried. Cancellations are final;
+	 * everything else (including timeouts) is up to the task's retry policy.
+	 */
+	const canRetry = (entry, error) => {
+		const { retries, shouldRetry } = entry.retryPolicy;
+		if (error && error.name === "AbortError") {
+			return false;
+		}
+		return entry.attempt <= retries && Boolean(shouldRetry(error, entry.attempt));
+	};
+
+	/**
+	 * Computes how long to wait before the next attempt, following the task's backoff strategy.
+	 */
+	const getRetryDelay = (entry) => {
+		const { backoff, retryDelay, jitter } = entry.retryPolicy;
+		const delay = backoff === "exponential" ? retryDelay * Math.pow(2, entry.attempt - 1) : retryDelay;
+		// "Full jitter": spreading retries over [0, delay] keeps failing tasks from retrying in lockstep.
+		return jitter ? Math.random() * delay : delay;
+	};
+
+	/**
+	 * Parks a failed task until its retry delay has passed, then puts it back in the queue.
+	 * The task keeps its original position (priority, age and FIFO order) when it returns.
+	 */
+	const scheduleRetry = (entry) => {
+		retriedCount++;
+		const timerId = clock.setTimeout(() => {
+			retryingTasks.delete(entry.id);
+			entry.attempt++;
+			entry.queuedAt = clock.now();
+			queueTask(entry);
+			runNext();
+		}, getRetryDelay(entry));
+		retryingTasks.set(entry.id, { entry, timerId });
+	};
+
+	/**
+	 * Runs a single task entry: wires up its AbortSignal and timeout, settles its result
+	 * promise, and frees its concurrency slot as soon as it finishes or is aborted.
+	 */
+	const startTask = (entry) => {
+		const { id, taskFn, timeout, attempt } = entry;
+		const controller = new AbortController();
+		const { signal } = controller;
+		entry.controller = controller;
+		entry.startedAt = clock.now();
+		waitTimes.add(entry.startedAt - entry.queuedAt);
+		activeTasks.set(id, entry);
+		acquireKey(entry.key);
+		emit("active", { id, attempt });
+
+		let timeoutId;
+		if (timeout !== undefined) {
+			timeoutId = clock.setTimeout(() => {
+				controller.abort(new DOMException(`Task ${id} timed out after ${timeout}ms.`, "TimeoutError"));
+			}, timeout);
+		}
+
+		// Rejects as soon as the signal fires, so an aborted task stops holding its slot
+		// even when `taskFn` never looks at the signal.
+		const aborted = new Promise((_, rejectAborted) => {
+			signal.addEventListener("abort", () => rejectAborted(signal.reason), { once: true });
+		});
+
+		// Execute the task. Since tasks are expected to return promises,
+		// we chain `.finally` to release the slot and then recursively call `runNext`.
+		// Wrapping the call in a promise also turns a synchronous throw into a rejection.
+		Promise.race([new Promise((resolveTask) => resolveTask(taskFn({ signal, attempt }))), aborted])
+			.then((result) => {
+				recordAttempt(true, getDuration(entry));
+				fulfillTask(entry, result);
+			})
+			.catch((error) => {
+				// Cancellations say nothing about the health of the work, so they don't count.
+				if (!error || error.name !== "AbortError") {
+					recordAttempt(false, getDuration(entry));
+				}
+				// Let the task try again later, releasing its slot in the meantime.
+				if (canRetry(entry, error)) {
+					scheduleRetry(entry);
+					return;
+				}
+				failTask(entry, error);
+			})
+			.finally(() => {
+				clock.clearTimeout(timeoutId);
+				activeTasks.delete(id);
+				releaseKey(entry.key);
+				// If no tasks are running and the queue is empty, resolve the idle promise.
+				notifyIfIdle();
+				// Immediately try to run the next task to keep concurrency full.
+				runNext();
+			});
+	};
+
+	/**
+	 * Checks the sliding rate-limiting window. If `intervalCap` tasks already started within
+	 * the last `interval`, arranges for `runNext` to be called again once the oldest start
+	 * falls out of the window, and reports that no task may start right now.
+	 */
+	const isRateLimited = () => {
+		const now = clock.now();
+		let delay = 0;
+		if (intervalCap !== Infinity) {
+			while (recentStarts.length > 0 && recentStarts[0] <= now - interval) {
+				recentStarts.shift();
+			}
+			if (recentStarts.length >= intervalCap) {
+				delay = recentStarts[0] + interval - now;
+			}
+		}
+		// The token is only taken once nothing else holds the start back: the task starts right after.
+		if (delay === 0 && rateLimiter && !rateLimiter.tryTake(1)) {
+			// A limiter may report 0 right after refusing (e.g. another thread took the token), so
+			// always wait a little rather than report "not limited" without having taken a token.
+			delay = Math.max(1, rateLimiter.getWaitTime(1));
+		}
+		if (delay === 0) {
+			return false;
+		}
+
+		if (rateLimitTimerId === null) {
+			rateLimitTimerId = clock.setTimeout(() => {
+				rateLimitTimerId = null;
+				runNext();
+			}, delay);
+		}
+		return true;
+	};
+
+	/**
+	 * Checks if the queue can run more tasks and, if so, starts them.
+	 * This is the core logic for managing concurrency.
+	 */
+	const runNext = () => {
+		if (isPaused || activeTasks.size >= concurrency || pendingById.size === 0) {
+			// If paused, at max concurrency, or no tasks left, do nothing.
+			return;
+		}
+		const next = findNextTask();
+		if (!next) {
+			// Every pending task belongs to a key that is already at its limit.
+			return;
+		}
+		if (isRateLimited()) {
+			// Capacity is free, but the rate limit is exhausted until the window moves on.
+			return;
+		}
+
+		// A task is available and we have capacity, so take the most urgent one.
+		if (intervalCap !== Infinity) {
+			recentStarts.push(clock.now());
+		}
+		startTask(takeTask(next));
+		// The start freed a waiting spot; let a waiting producer in before filling more slots.
+		admitWaiters();
+
+		// Recursively call runNext in case there's still capacity for more tasks.
+		// This helps fill up the concurrency limit quickly.
+		runNext();
+	};
+
+	/**
+	 * Removes a pending task from the queue and rejects its result promise.
+	 */
+	const dropPendingTask = (entry, reason) => {
+		takeTask(entry);
+		failTask(entry, reason);
+		pruneKey(entry.key);
+		admitWaiters();
+	};
+
+	/**
+	 * Validates a task and its options and puts it in the queue. Shared by `add()` and by
+	 * restoring records from storage, which must not write those records a second time.
+	 * `makeRoom` (the "drop-oldest" policy) only runs once the task is known to be valid, so
+	 * a rejected `add()` never costs a queued task its place.
+	 */
+	const enqueueTask = (task, options, { isRestoring, makeRoom }) => {
+		const {
+			priority = 0,
+			key,
+			id = nextTaskId++,
+			timeout = defaultTimeout,
+			retries = defaultRetries,
+			backoff = defaultBackoff,
+			retryDelay = defaultRetryDelay,
+			jitter = defaultJitter,
+			shouldRetry = defaultShouldRetry,
+			dependsOn = [],
+			dedupeKey,
+			dedupeTTL = defaultDedupeTTL,
+		} = options;
+		const sharedResult = getDedupedResult(dedupeKey);
+		if (sharedResult) {
+			return sharedResult;
+		}
+		const isRecord = isTaskRecord(task);
+		if (isRecord && typeof handlers[task.type] !== "function") {
+			throw new Error(`No handler is registered for task type "${task.type}".`);
+		}
+		const isWorkerTask = !isRecord && isWorkerTaskDescriptor(task);
+		if (isWorkerTask) {
+			validateWorkerTask(task);
+		} else if (!isRecord && typeof task !== "function") {
+			throw new Error(
+				"Task must be a function that returns a Promise, a { type, payload } record or a { module, export, args } descriptor."
+			);
+		}
+		if (typeof priority !== "number" || !Number.isFinite(priority)) {
+			throw new Error("Priority must be a finite number.");
+		}
+		validateTimeout(timeout);
+		validateDedupeTTL(dedupeTTL);
+		const retryPolicy = { retries, backoff, retryDelay, jitter, shouldRetry };
+		validateRetryPolicy(retryPolicy);
+		if (hasTask(id)) {
+			throw new Error(`A task with id "${id}" is already in the queue.`);
+		}
+		if (!Array.isArray(dependsOn)) {
+			throw new Error("dependsOn must be an array of task ids.");
+		}
+		if (wouldCreateCycle(id, dependsOn)) {
+			throw new Error(`Adding task "${id}" would create a dependency cycle.`);
+		}
+		if (makeRoom) {
+			makeRoom();
+		}
+
+		let resolve, reject;
+		const result = new Promise((res, rej) => {
+			resolve = res;
+			reject = rej;
+		});
+		// Mark the promise as handled: errors already reach `onError`, so an ignored result must not crash the process.
+		result.catch(() => {});
+		result.id = id;
+		if (dedupeKey !== undefined) {
+			registerDedupeKey(dedupeKey, result, dedupeTTL);
+		}
+
+		// Record tasks are written down before they can start, so a crash can't lose them. Only the
+		// dependencies that haven't completed yet are stored (see `persistCompletedDependency`).
+		let record;
+		if (isRecord) {
+			const pendingDependencies = dependsOn.filter((dependencyId) => settledStatuses.get(dependencyId) !== "completed");
+			record = { id, type: task.type, payload: task.payload, options: toStorableOptions({ ...options, dependsOn: pendingDependencies }) };
+			if (!isRestoring) {
+				storage.save(record);
+			}
+		}
+		let taskFn = task;
+		if (isRecord) {
+			taskFn = (context) => handlers[task.type](task.payload, context);
+		} else if (isWorkerTask) {
+			taskFn = ({ signal }) => {
+				workerPool = workerPool || createWorkerPool(maxWorkers);
+				return workerPool.run(task, signal);
+			};
+		}
+
+		const entry = {
+			id,
+			taskFn,
+			isRecord,
+			record,
+			priority,
+			key,
+			timeout,
+			retryPolicy,
+			dependsOn,
+			attempt: 1,
+			enqueuedAt: clock.now(),
+			queuedAt: clock.now(),
+			seq: sequence++,
+			resolve,
+			reject,
+		};
+		isBusy = true;
+		emit("add", { id, priority });
+		resultStreams.forEach((stream) => stream.onAdd(id));
+		if (dependsOn.length > 0) {
+			// Wait for the dependencies; this may also skip or release the task right away.
+			blockedTasks.set(id, entry);
+			updateBlockedTask(entry);
+			scheduleOrphanCheck();
+		} else {
+			queueTask(entry);
+			// As soon as a task is added, try to run it.
+			// This ensures tasks start even if the queue was previously idle.
+			runNext();
+		}
+
+		return result;
+	};
+
+	/**
+	 * Queues the task records left in storage by a previous run again. Stored dependencies are
+	 * the ones that hadn't completed, so one that isn't among the restored records - e.g. a
+	 * closure task, which is never stored - will never run: its dependents are skipped.
+	 */
+	const restoreRecords = (records) => {
+		isRestorePending = false;
+		if (isClosed) {
+			// Leave the records in storage for the next run.
+			notifyIfIdle();
+			return;
+		}
+		const storedIds = new Set(records.map((record) => record.id));
+		for (const { id, type, payload, options = {} } of records) {
+			const lostDependency = (options.dependsOn || []).find((dependencyId) => !storedIds.has(dependencyId));
+			try {
+				enqueueTask({ type, payload }, { ...options, id }, { isRestoring: true });
+			} catch (error) {
+				console.error(`Failed to restore task ${id} from queue storage:`, error);
+				continue;
+			}
+			// Still blocked unless an earlier skip already took it along.
+			const entry = blockedTasks.get(id);
+			if (lostDependency !== undefined && entry) {
+				blockedTasks.delete(id);
+				skipTask(entry, lostDependency, "did not complete before the restart");
+			}
+		}
+		// Every record may have failed to restore, leaving nothing to wait for.
+		notifyIfIdle();
+	};
+
+	/**
+	 * Rejects waiting producers and every task that hasn't settled yet with `reason`:
+	 * pending, blocked and retrying tasks are dropped, running ones are aborted.
+	 * With `keepRecords` (a shutdown rather than a deliberate `clear()`), the aborted tasks'
+	 * records stay in storage, so the next queue on that storage runs them again.
+	 */
+	const abortAll = (reason, { keepRecords = false } = {}) => {
+		const abortedEntries = [
+			...blockedTasks.values(),
+			...pendingById.values(),
+			...[...retryingTasks.values()].map(({ entry }) => entry),
+			...activeTasks.values(),
+		];
+		for (const entry of abortedEntries) {
+			entry.keepRecord = keepRecords;
+		}
+		for (const waiter of admissionWaiters.splice(0)) {
+			waiter.reject(reason);
+		}
+		// Blocked tasks go first, so they are cancelled rather than skipped when their dependencies are.
+		for (const entry of [...blockedTasks.values()]) {
+			if (blockedTasks.delete(entry.id)) {
+				failTask(entry, reason);
+			}
+		}
+		for (const entry of [...pendingById.values()]) {
+			dropPendingTask(entry, reason);
+		}
+		for (const { entry, timerId } of retryingTasks.values()) {
+			clock.clearTimeout(timerId);
+			failTask(entry, reason);
+		}
+		retryingTasks.clear();
+		for (const entry of activeTasks.values()) {
+			entry.controller.abort(reason);
+		}
+		settledStatuses.clear();
+	};
+
 	/**
-	 * Checks if the queue can run more tasks and, if so, starts them.
-	 * This is the core logic for managing concurrency.
+	 * Backs `results()`: registers right away (an async generator would only start on the first
+	 * `next()`), then yields the outcome of every task that was unsettled at that point or added
+	 * later, and finishes once the queue next goes idle.
 	 */
-	const runNext = () => {
-		if (isPaused || runningTasks >= concurrency || taskQueue.length === 0) {
-			// If paused, at max concurrency, or no tasks left, do nothing.
-			return;
-		}
+	const streamResults = (ordered) => {
+		const ready = []; // Outcomes that can be yielded now
+		const submissionOrder = []; // Ordered mode: ids of unsettled tasks, oldest submission first
+		const settledOutOfOrder = new Map(); // Ordered mode: outcomes waiting for earlier tasks to settle
+		let isDrained = isClosed && isIdle();
+		let wake = null;
 
-		// A task is available and we have capacity, so take the next one.
-		const task = taskQueue.shift();
-		runningTasks++;
+		const notify = () => {
+			if (wake) {
+				wake();
+				wake = null;
+			}
+		};
 
-		// Execute the task. Since tasks are expected to return promises,
-		// we chain `.finally` to decrement `runningTasks` and then recursively call `runNext`.
-		Promise.resolve(task())
-			.then((result) => {
-				// Emit success event if any listeners are attached (future extension)
-			})
-			.catch((error) => {
-				// Emit error event
-				if (typeof throttledQueue.onError === "function") {
-					throttledQueue.onError(error);
-				} else {
-					// Default error handling if no custom handler is provided
-					console.error("Unhandled error in async queue task:", error);
+		if (ordered) {
+			const unsettled = [...pendingById.values(), ...blockedTasks.values(), ...activeTasks.values()];
+			for (const { entry } of retryingTasks.values()) {
+				unsettled.push(entry);
+			}
+			unsettled.sort((a, b) => a.seq - b.seq);
+			submissionOrder.push(...unsettled.map((entry) => entry.id));
+		}
+
+		const stream = {
+			onAdd(id) {
+				if (ordered) {
+					submissionOrder.push(id);
 				}
-			})
-			.finally(() => {
-				runningTasks--;
-				// If no tasks are running and the queue is empty, resolve the idle promise.
-				if (runningTasks === 0 && taskQueue.length === 0) {
-					resolveIdle();
+			},
+			onSettle(outcome) {
+				if (!ordered) {
+					ready.push(outcome);
+				} else {
+					settledOutOfOrder.set(outcome.id, outcome);
+					// Release the longest run of settled tasks at the head of the submission order.
+					while (submissionOrder.length > 0 && settledOutOfOrder.has(submissionOrder[0])) {
+						const id = submissionOrder.shift();
+						ready.push(settledOutOfOrder.get(id));
+						settledOutOfOrder.delete(id);
+					}
 				}
-				// Immediately try to run the next task to keep concurrency full.
-				runNext();
-			});
+				notify();
+			},
+			onIdle() {
+				isDrained = true;
+				// Nothing is recorded after this, so let go even if iteration never started.
+				resultStreams.delete(stream);
+				notify();
+			},
+		};
+		if (!isDrained) {
+			resultStreams.add(stream);
+		}
 
-		// Recursively call runNext in case there's still capacity for more tasks.
-		// This helps fill up the concurrency limit quickly.
-		runNext();
+		async function* iterate() {
+			try {
+				while (true) {
+					if (ready.length > 0) {
+						yield ready.shift();
+					} else if (isDrained) {
+						return;
+					} else {
+						await new Promise((resolve) => {
+							wake = resolve;
+						});
+					}
+				}
+			} finally {
+				resultStreams.delete(stream);
+			}
+		}
+		return iterate();
 	};
 
 	// --- Public Interface ---
@@ -73,21 +1256,75 @@ function createAsyncQueue({ concurrency }) {
 		/**
 		 * Adds a new task to the queue.
 		 * A task must be a function that returns a Promise.
-		 * @param {Function} taskFn - The function to execute.
+		 *
+		 * The returned promise settles with the task's own result or error. Failures are
+		 * still reported through `onError`, so callers that don't care about the result
+		 * can ignore the returned promise without triggering unhandled rejections. The same
+		 * goes for the `QueueFullError` a full queue rejects with under the "reject" policy, the
+		 * `QueueClosedError` of a closed queue and the admission promise of the "wait" policy:
+		 * invalid tasks and options throw synchronously, but refusals never do.
+		 * The promise also carries the task's `id`, which can be passed to `cancel()`.
+		 * @param {Function|object} task - The function to execute, which receives `{ signal, attempt }`,
+		 * or a `{ type, payload }` record to be run by the matching handler and kept in storage until it settles.
+		 * @param {object} [options] - Per-task options.
+		 * @param {number} [options.priority=0] - Higher priorities run first. Equal priorities run in insertion order.
+		 * @param {*} [options.key] - Groups the task for `perKeyConcurrency` limits and round-robin scheduling.
+		 * @param {*} [options.id] - A custom task id. Defaults to an auto-incrementing number.
+		 * @param {number} [options.timeout] - Milliseconds before each attempt is aborted. Overrides the queue default.
+		 * @param {number} [options.retries] - Number of retries after the first failed attempt. Overrides the queue default.
+		 * @param {"fixed"|"exponential"} [options.backoff] - Retry spacing strategy. Overrides the queue default.
+		 * @param {number} [options.retryDelay] - Base retry delay in milliseconds. Overrides the queue default.
+		 * @param {boolean} [options.jitter] - Whether to randomise retry delays. Overrides the queue default.
+		 * @param {Function} [options.shouldRetry] - `(error, attempt) => boolean` predicate. Overrides the queue default.
+		 * @param {Array} [options.dependsOn=[]] - Ids of tasks that must complete before this one may start.
+		 * @param {*} [options.dedupeKey] - Shares the result of an unsettled (or recently completed) task with the same key instead of queueing a new one.
+		 * Such callers share one promise, so cancelling it cancels the work for all of them.
+		 * @param {number} [options.dedupeTTL] - Milliseconds to keep reusing the result once it completes. Overrides the queue default.
+		 * @returns {Promise<*>} A promise that settles with the outcome of this task, or - under the
+		 * "wait" overflow policy - a promise of `{ id, result }` that resolves once the task is admitted.
 		 */
-		add(taskFn) {
-			if (typeof taskFn !== "function") {
-				throw new Error("Task must be a function that returns a Promise.");
+		add(task, options = {}) {
+			if (isClosed) {
+				return rejectHandled(createNamedError("QueueClosedError", "Queue is closed and no longer accepts tasks."));
 			}
-			taskQueue.push(taskFn);
-			// As soon as a task is added, try to run it.
-			// This ensures tasks start even if the queue was previously idle.
-			runNext();
+			// A deduplicated task takes no room in the queue, so it bypasses the overflow policy.
+			const sharedResult = getDedupedResult(options.dedupeKey);
+			if (sharedResult) {
+				return overflowPolicy === "wait" ? Promise.resolve({ id: sharedResult.id, result: sharedResult }) : sharedResult;
+			}
+			const isFull = getPendingCount() >= maxPending;
 
-			// Reset the idle promise because a new task has been added.
-			idlePromise = new Promise((resolve) => {
-				resolveIdle = resolve;
-			});
+			if (overflowPolicy === "wait") {
+				// Queue behind earlier producers even if a slot just opened, to keep them in order.
+				if (isFull || admissionWaiters.length > 0) {
+					const admission = new Promise((resolve, reject) => admissionWaiters.push({ task, options, resolve, reject }));
+					// Turned-away producers (`clear()`, `close()`) must not crash the process either.
+					admission.catch(() => {});
+					return admission;
+				}
+				const result = enqueueTask(task, options, { isRestoring: false });
+				return Promise.resolve({ id: result.id, result });
+			}
+
+			if (isFull && overflowPolicy === "reject") {
+				return rejectHandled(createNamedError("QueueFullError", `Queue is full (maxPending: ${maxPending}).`));
+			}
+			return enqueueTask(task, options, { isRestoring: false, makeRoom: isFull ? dropOldestTask : undefined });
+		},
+
+		/**
+		 * Streams task outcomes as `{ id, status, value }` (for `status: "completed"`) or
+		 * `{ id, status, error }` (for `"failed"`, `"cancelled"`, `"skipped"` or `"dropped"`).
+		 * Covers every task that hasn't settled yet when `results()` is called, plus tasks added
+		 * later (also before iteration starts), and ends the next time the queue goes idle. So a
+		 * consumer may start before its producers: on an idle queue it waits for work to arrive.
+		 * On a closed queue it ends once that has drained.
+		 * @param {object} [options]
+		 * @param {boolean} [options.ordered=false] - Yield in submission order instead of completion order.
+		 * @returns {AsyncIterableIterator<object>} An async iterator to consume with `for await`.
+		 */
+		results({ ordered = false } = {}) {
+			return streamResults(ordered);
 		},
 
 		/**
@@ -97,11 +1334,12 @@ function createAsyncQueue({ concurrency }) {
 		 */
 		onIdle() {
 			// If already idle, return the resolved promise.
-			if (runningTasks === 0 && taskQueue.length === 0) {
+			if (isIdle()) {
 				return Promise.resolve();
 			}
-			// Otherwise, return the promise that will resolve when it becomes idle.
-			return idlePromise;
+			// Otherwise, wait until it becomes idle. Each call gets its own promise, so one
+			// created before later `add()` calls still resolves once those tasks are done too.
+			return new Promise((resolve) => idleWaiters.push(resolve));
 		},
 
 		/**
@@ -111,13 +1349,73 @@ function createAsyncQueue({ concurrency }) {
 		 */
 		onError: null, // Placeholder for user-defined error handler
 
+		/**
+		 * Registers a listener for a lifecycle event (see `createAsyncQueue` for the list).
+		 * @param {string} event - The event name.
+		 * @param {Function} listener - Called with the event payload.
+		 * @returns {object} The queue, for chaining.
+		 */
+		on(event, listener) {
+			if (typeof listener !== "function") {
+				throw new Error("Listener must be a function.");
+			}
+			if (!listeners.has(event)) {
+				listeners.set(event, new Set());
+			}
+			listeners.get(event).add(listener);
+			return throttledQueue;
+		},
+
+		/**
+		 * Removes a listener previously registered with `on` or `once`.
+		 * @param {string} event - The event name.
+		 * @param {Function} listener - The listener to remove.
+		 * @returns {object} The queue, for chaining.
+		 */
+		off(event, listener) {
+			const eventListeners = listeners.get(event);
+			if (eventListeners) {
+				// `once` wrappers are registered in place of the original listener.
+				for (const registered of eventListeners) {
+					if (registered === listener || registered.listener === listener) {
+						eventListeners.delete(registered);
+					}
+				}
+				// Drop empty sets so `listeners.has(event)` keeps meaning "someone is listening".
+				if (eventListeners.size === 0) {
+					listeners.delete(event);
+				}
+			}
+			return throttledQueue;
+		},
+
+		/**
+		 * Registers a listener that is removed after its first call.
+		 * @param {string} event - The event name.
+		 * @param {Function} listener - Called with the event payload.
+		 * @returns {object} The queue, for chaining.
+		 */
+		once(event, listener) {
+			if (typeof listener !== "function") {
+				throw new Error("Listener must be a function.");
+			}
+			const wrapper = (payload) => {
+				throttledQueue.off(event, wrapper);
+				listener(payload);
+			};
+			wrapper.listener = listener;
+			return throttledQueue.on(event, wrapper);
+		},
+
 		/**
 		 * Pauses the queue. New tasks can be added but will not start executing
 		 * until `resume()` is called. Currently running tasks will continue to completion.
 		 */
 		pause() {
-			isPaused = true;
-			console.log("Queue paused.");
+			if (!isPaused) {
+				isPaused = true;
+				emit("paused");
+			}
 		},
 
 		/**
@@ -126,133 +1424,744 @@ function createAsyncQueue({ concurrency }) {
 		resume() {
 			if (isPaused) {
 				isPaused = false;
-				console.log("Queue resumed. Attempting to run tasks...");
+				emit("resumed");
 				runNext(); // Attempt to start tasks immediately upon resuming
 			}
 		},
 
 		/**
-		 * Clears all pending tasks from the queue.
-		 * Does not affect currently running tasks.
+		 * Cancels a single task by id. A pending, blocked or retrying task is removed from the
+		 * queue; a running task has its signal aborted and its slot released. Either way its
+		 * result promise rejects with an `AbortError`, and tasks depending on it are skipped.
+		 * @param {*} taskId - The id of the task to cancel.
+		 * @returns {boolean} `true` if a pending or running task was found and cancelled.
+		 */
+		cancel(taskId) {
+			const reason = new DOMException(`Task ${taskId} was cancelled.`, "AbortError");
+
+			const pending = pendingById.get(taskId);
+			if (pending) {
+				dropPendingTask(pending, reason);
+				notifyIfIdle();
+				return true;
+			}
+
+			const blocked = blockedTasks.get(taskId);
+			if (blocked) {
+				blockedTasks.delete(taskId);
+				failTask(blocked, reason);
+				admitWaiters();
+				notifyIfIdle();
+				return true;
+			}
+
+			const retrying = retryingTasks.get(taskId);
+			if (retrying) {
+				clock.clearTimeout(retrying.timerId);
+				retryingTasks.delete(taskId);
+				failTask(retrying.entry, reason);
+				notifyIfIdle();
+				return true;
+			}
+
+			const running = activeTasks.get(taskId);
+			if (running) {
+				running.controller.abort(reason);
+				return true;
+			}
+
+			return false;
+		},
+
+		/**
+		 * Clears all pending, blocked and retrying tasks from the queue and aborts the ones
+		 * currently running. The result promises of all affected tasks reject with an `AbortError`.
+		 * The history of settled tasks used for `dependsOn` is forgotten as well, and producers
+		 * waiting for room (`overflowPolicy: "wait"`) are turned away with the same error.
 		 */
 		clear() {
-			const clearedCount = taskQueue.length;
-			taskQueue.length = 0; // Empty the array
-			console.log(`Queue cleared. ${clearedCount} pending tasks removed.`);
+			const clearedCount = pendingById.size + retryingTasks.size + blockedTasks.size;
+			abortAll(new DOMException("Queue was cleared.", "AbortError"));
+			emit("cleared", { count: clearedCount });
+			notifyIfIdle();
+		},
+
+		/**
+		 * Closes the queue: `add()` rejects with a `QueueClosedError` from now on, and producers
+		 * waiting for room are turned away with the same error.
+		 *
+		 * With `drain: true` (the default) pending, blocked and retrying tasks still run; a paused
+		 * queue is resumed so it can drain. If `timeout` elapses first, whatever is left is aborted.
+		 * With `drain: false` everything is aborted right away, as with `clear()`. Unlike `clear()`,
+		 * aborting on close leaves `{ type, payload }` records in storage, so a queue created on the
+		 * same storage after a restart runs them again.
+		 * @param {object} [options]
+		 * @param {boolean} [options.drain=true] - Finish the remaining work instead of aborting it.
+		 * @param {number} [options.timeout] - Milliseconds to wait for draining before aborting the rest.
+		 * @returns {Promise<void>} Resolves once every task has settled. Repeated calls return the same promise.
+		 */
+		close({ drain = true, timeout } = {}) {
+			if (closePromise) {
+				return closePromise;
+			}
+			validateTimeout(timeout);
+			isClosed = true;
+			const closedError = createNamedError("QueueClosedError", "Queue is closed and no longer accepts tasks.");
+			for (const waiter of admissionWaiters.splice(0)) {
+				waiter.reject(closedError);
+			}
+			emit("closed");
+
+			let timeoutId;
+			if (!drain) {
+				abortAll(new DOMException("Queue was closed.", "AbortError"), { keepRecords: true });
+			} else {
+				throttledQueue.resume();
+				if (timeout !== undefined) {
+					timeoutId = clock.setTimeout(() => {
+						abortAll(new DOMException(`Queue did not drain within ${timeout}ms.`, "AbortError"), { keepRecords: true });
+						notifyIfIdle();
+					}, timeout);
+				}
+			}
+			notifyIfIdle();
+
+			closePromise = throttledQueue.onIdle().then(() => {
+				clock.clearTimeout(timeoutId);
+				return workerPool && workerPool.terminate();
+			});
+			return closePromise;
+		},
+
+		/**
+		 * Whether `close()` has been called.
+		 * @returns {boolean}
+		 */
+		isClosed() {
+			return isClosed;
+		},
+
+		/**
+		 * Changes the concurrency limit at runtime. Raising it starts waiting tasks right away;
+		 * lowering it lets running tasks finish and only holds back new starts. With `adaptive`
+		 * enabled, the new value is the starting point for further adjustments.
+		 * @param {number} newConcurrency - The new limit. Must be a positive integer.
+		 */
+		setConcurrency(newConcurrency) {
+			if (typeof newConcurrency !== "number" || newConcurrency <= 0 || !Number.isInteger(newConcurrency)) {
+				throw new Error("Concurrency must be a positive integer.");
+			}
+			concurrency = newConcurrency;
+			adaptiveSamples = [];
+			runNext();
+		},
+
+		/**
+		 * Gets the current concurrency limit, which changes over time in adaptive mode.
+		 */
+		getConcurrency() {
+			return concurrency;
+		},
+
+		/**
+		 * Takes a snapshot of the queue's metrics.
+		 *
+		 * Wait time is measured from when a task (or a retry attempt) became ready to run until
+		 * it started; run time is the duration of each finished attempt. Percentiles cover the
+		 * most recent 1000 samples of each, and throughput counts tasks settled per second over
+		 * the last minute.
+		 * @returns {object} `{ counts, waitTime, runTime, throughputPerSecond, inFlight, running, pending, retrying, concurrency, isPaused, isClosed }`,
+		 * where `counts` holds `completed`, `failed`, `cancelled`, `skipped`, `dropped` and `retried`,
+		 * `waitTime`/`runTime` hold `p50`, `p95` and `p99` in milliseconds (`null` without samples)
+		 * plus the `count` and `sum` (in milliseconds) of every sample taken since the queue was created,
+		 * and `inFlight` lists `{ id, key, attempt, runningFor }` for each running task.
+		 */
+		stats() {
+			const now = clock.now();
+			pruneSettledAt(now);
+			const windowSeconds = Math.min(THROUGHPUT_WINDOW_MS, Math.max(now - createdAt, 1)) / 1000;
+
+			return {
+				counts: { ...outcomeCounts, retried: retriedCount },
+				waitTime: summarizeSamples(waitTimes),
+				runTime: summarizeSamples(runTimes),
+				throughputPerSecond: settledAt.length / windowSeconds,
+				inFlight: [...activeTasks.values()].map((entry) => ({
+					id: entry.id,
+					key: entry.key,
+					attempt: entry.attempt,
+					runningFor: now - entry.startedAt,
+				})),
+				running: activeTasks.size,
+				pending: getPendingCount(),
+				retrying: retryingTasks.size,
+				concurrency,
+				isPaused,
+				isClosed,
+			};
 		},
 
 		/**
 		 * (Optional) Gets the current number of running tasks.
 		 */
 		getRunningTasksCount() {
-			return runningTasks;
+			return activeTasks.size;
 		},
 
 		/**
-		 * (Optional) Gets the current number of pending tasks.
+		 * (Optional) Gets the current number of pending tasks, including those blocked on dependencies.
 		 */
 		getPendingTasksCount() {
-			return taskQueue.length;
+			return getPendingCount();
 		},
 	};
 
+	// Read leftover records right away so their numeric ids are reserved before any new
+	// `add()`, but queue them in a microtask so listeners, `onError` or `pause()` set up
+	// right after creation already apply to the restored tasks.
+	const storedRecords = storage.load();
+	for (const { id } of storedRecords) {
+		if (typeof id === "number" && id >= nextTaskId) {
+			nextTaskId = id + 1;
+		}
+	}
+	if (storedRecords.length > 0) {
+		// Until then the queue isn't idle, so an early `onIdle()` waits for the restored work.
+		isRestorePending = true;
+		queueMicrotask(() => restoreRecords(storedRecords));
+	}
+
 	return throttledQueue;
 }
 
+/**
+ * Returns a promise rejected with `error` that is already marked as handled, so a caller that
+ * ignores it doesn't bring the process down with an unhandled rejection.
+ */
+function rejectHandled(error) {
+	const promise = Promise.reject(error);
+	promise.catch(() => {});
+	return promise;
+}
+
+/**
+ * Creates an `Error` whose `name` identifies why a task didn't run, e.g. `QueueFullError`.
+ */
+function createNamedError(name, message) {
+	const error = new Error(message);
+	error.name = name;
+	return error;
+}
+
+/**
+ * Fills in and validates the adaptive concurrency settings.
+ */
+function createAdaptivePolicy(
+	initialConcurrency,
+	{ minConcurrency = 1, maxConcurrency = initialConcurrency, window = 20, errorThreshold = 0.2, latencyThreshold = Infinity }
+) {
+	if (!Number.isInteger(minConcurrency) || minConcurrency <= 0) {
+		throw new Error("Adaptive minConcurrency must be a positive integer.");
+	}
+	if (!Number.isInteger(maxConcurrency) || maxConcurrency < minConcurrency) {
+		throw new Error("Adaptive maxConcurrency must be an integer no lower than minConcurrency.");
+	}
+	if (!Number.isInteger(window) || window <= 0) {
+		throw new Error("Adaptive window must be a positive integer.");
+	}
+	if (typeof errorThreshold !== "number" || errorThreshold < 0 || errorThreshold > 1) {
+		throw new Error("Adaptive errorThreshold must be a number between 0 and 1.");
+	}
+	if (typeof latencyThreshold !== "number" || !(latencyThreshold > 0)) {
+		throw new Error("Adaptive latencyThreshold must be a positive number of milliseconds.");
+	}
+	return { minConcurrency, maxConcurrency, window, errorThreshold, latencyThreshold };
+}
+
+// How many settled task outcomes each queue remembers for `dependsOn`.
+const SETTLED_HISTORY_LIMIT = 1000;
+
+// How many recent wait/run time samples `stats()` computes percentiles from.
+const STATS_SAMPLE_SIZE = 1000;
+
+// The window `stats()` measures throughput over.
+const THROUGHPUT_WINDOW_MS = 60 * 1000;
+
+/**
+ * A fixed-size ring buffer of numeric samples: once full, each new sample replaces the oldest.
+ * It also keeps the count and sum of every sample ever added.
+ */
+function createSampleWindow(size) {
+	const samples = [];
+	let next = 0;
+	let count = 0;
+	let sum = 0;
+	return {
+		add(value) {
+			samples[next] = value;
+			next = (next + 1) % size;
+			count++;
+			sum += value;
+		},
+		values() {
+			return samples.slice();
+		},
+		totals() {
+			return { count, sum };
+		},
+	};
+}
+
+/**
+ * Computes nearest-rank percentiles of a window's recent samples, next to its all-time totals.
+ */
+function summarizeSamples(window) {
+	const totals = window.totals();
+	const values = window.values();
+	if (values.length === 0) {
+		return { p50: null, p95: null, p99: null, ...totals };
+	}
+	const sorted = values.sort((a, b) => a - b);
+	const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+	return { p50: percentile(50), p95: percentile(95), p99: percentile(99), ...totals };
+}
+
+/**
+ * Whether a task is a serialisable `{ type, payload }` record rather than a closure.
+ */
+function isTaskRecord(task) {
+	return task !== null && typeof task === "object" && typeof task.type === "string";
+}
+
+/**
+ * Keeps the options that can be written to storage. Functions (like `shouldRetry`) can't be
+ * serialised, so restored tasks fall back to the queue defaults for them.
+ */
+function toStorableOptions(options) {
+	const storable = {};
+	for (const [name, value] of Object.entries(options)) {
+		if (name !== "id" && typeof value !== "function") {
+			storable[name] = value;
+		}
+	}
+	return storable;
+}
+
+/**
+ * In-memory task storage: the default. Records don't survive a restart, but the queue
+ * treats every storage adapter the same way.
+ *
+ * A storage adapter implements:
+ * - `load()` - returns the records that were saved and not yet removed, oldest first.
+ * - `save(record)` - stores a `{ id, type, payload, options }` record.
+ * - `remove(id)` - forgets a record once its task has settled.
+ * @returns {object} A storage adapter.
+ */
+function createMemoryStorage() {
+	const records = new Map();
+	return {
+		load() {
+			return [...records.values()];
+		},
+		save(record) {
+			records.set(record.id, record);
+		},
+		remove(id) {
+			records.delete(id);
+		},
+	};
+}
+
+/**
+ * Ensures a timeout option is either omitted or a non-negative finite number of milliseconds.
+ */
+function validateTimeout(timeout) {
+	if (timeout !== undefined && (typeof timeout !== "number" || !Number.isFinite(timeout) || timeout < 0)) {
+		throw new Error("Timeout must be a non-negative number of milliseconds.");
+	}
+}
+
+function validateDedupeTTL(dedupeTTL) {
+	if (typeof dedupeTTL !== "number" || Number.isNaN(dedupeTTL) || dedupeTTL < 0) {
+		throw new Error("dedupeTTL must be a non-negative number of milliseconds (or Infinity).");
+	}
+}
+
+/**
+ * Ensures a task's retry options are well formed before it is queued.
+ */
+function validateRetryPolicy({ retries, backoff, retryDelay, jitter, shouldRetry }) {
+	if (typeof retries !== "number" || retries < 0 || !Number.isInteger(retries)) {
+		throw new Error("Retries must be a non-negative integer.");
+	}
+	if (backoff !== "fixed" && backoff !== "exponential") {
+		throw new Error('Backoff must be either "fixed" or "exponential".');
+	}
+	if (typeof retryDelay !== "number" || !Number.isFinite(retryDelay) || retryDelay < 0) {
+		throw new Error("Retry delay must be a non-negative number of milliseconds.");
+	}
+	if (typeof jitter !== "boolean") {
+		throw new Error("Jitter must be a boolean.");
+	}
+	if (typeof shouldRetry !== "function") {
+		throw new Error("shouldRetry must be a function.");
+	}
+}
+
+// The error helpers are shared with the batch queue (create-batch-queue.js).
+module.exports = { createAsyncQueue, createMemoryStorage, createNamedError, rejectHandled };
+
 // --- Example Usage ---
 
-// Mock fetch function to simulate async operations
-const fetchUser = (id, delay = 1000) => {
-	return new Promise((resolve, reject) => {
-		const startTime = Date.now();
-		setTimeout(() => {
-			// Simulate occasional errors for testing onError
-			if (id === 3 && Math.random() < 0.5) {
-				// 50% chance for user 3 to fail
-				console.error(`[Task ${id}] Failed to fetch user!`);
-				return reject(new Error(`Failed to fetch user ${id}`));
-			}
-			const endTime = Date.now();
-			console.log(`[Task ${id}] Fetched user in ${endTime - startTime}ms.`);
-			resolve({ id, name: `User ${id}` });
-		}, delay + Math.random() * 500); // Add some randomness to delay
-	});
-};
-
-console.log("--- Starting Queue Example ---");
-
-const queue = createAsyncQueue({ concurrency: 2 });
-
-// Set an error handler
-queue.onError = (error) => {
-	console.warn("Custom Error Handler Caught:", error.message);
-};
-
-// Add tasks to the queue
-console.log("Adding tasks...");
-queue.add(() => fetchUser(1, 1500));
-queue.add(() => fetchUser(2, 800));
-queue.add(() => fetchUser(3, 2000)); // This one might fail
-queue.add(() => fetchUser(4, 1200));
-queue.add(() => fetchUser(5, 700)); // Will be queued until concurrency opens up
-
-console.log("Current running tasks:", queue.getRunningTasksCount()); // Expected: 2 (if tasks start immediately)
-console.log("Current pending tasks:", queue.getPendingTasksCount()); // Expected: 3
-
-// Test onIdle: This will resolve after all tasks (1,2,3,4,5) are done
-queue
-	.onIdle()
-	.then(() => {
-		console.log("\n--- Queue is now idle! All initial tasks completed. ---");
-		console.log("Running tasks:", queue.getRunningTasksCount());
-		console.log("Pending tasks:", queue.getPendingTasksCount());
-
-		// Test pause and resume
-		console.log("\n--- Testing pause and resume ---");
-		queue.add(() => fetchUser(6, 1000));
-		queue.add(() => fetchUser(7, 1200));
-		queue.add(() => fetchUser(8, 500));
-
-		console.log("Tasks 6, 7, 8 added. Pausing queue in 100ms...");
-		setTimeout(() => {
-			queue.pause();
-			queue.add(() => fetchUser(9, 300)); // This task should be added but not run
-			console.log(
-				"Queue should be paused. Running:",
-				queue.getRunningTasksCount(),
-				"Pending:",
-				queue.getPendingTasksCount()
-			);
-		}, 100);
-
-		setTimeout(() => {
-			queue.resume();
-			console.log("Queue resumed. Running:", queue.getRunningTasksCount(), "Pending:", queue.getPendingTasksCount());
-		}, 2500); // Resume after some time
-
-		// Test clear
-		setTimeout(() => {
-			console.log("\n--- Testing clear ---");
-			console.log("Current pending tasks before clear:", queue.getPendingTasksCount());
-			queue.clear();
-			console.log("Current pending tasks after clear:", queue.getPendingTasksCount());
-			// Adding a new task after clear to ensure it still works
-			queue.add(() => fetchUser(10, 500));
-		}, 5000);
-
-		// Final idle check for all tasks, including resumed and new ones
+// Only when run directly (`node create-async-queue.js`), so requiring the module has no side effects.
+if (require.main === module) {
+	// Mock fetch function to simulate async operations
+	const fetchUser = (id, delay = 1000) => {
+		return new Promise((resolve, reject) => {
+			const startTime = Date.now();
+			setTimeout(() => {
+				// Simulate occasional errors for testing onError
+				if (id === 3 && Math.random() < 0.5) {
+					// 50% chance for user 3 to fail
+					console.error(`[Task ${id}] Failed to fetch user!`);
+					return reject(new Error(`Failed to fetch user ${id}`));
+				}
+				const endTime = Date.now();
+				console.log(`[Task ${id}] Fetched user in ${endTime - startTime}ms.`);
+				resolve({ id, name: `User ${id}` });
+			}, delay + Math.random() * 500); // Add some randomness to delay
+		});
+	};
+
+	console.log("--- Starting Queue Example ---");
+
+	const queue = createAsyncQueue({ concurrency: 2 });
+
+	// Set an error handler
+	queue.onError = (error) => {
+		console.warn("Custom Error Handler Caught:", error.message);
+	};
+
+	// Listen for lifecycle events
+	queue.on("completed", ({ id, duration }) => console.log(`[Queue] Task #${id} completed in ${duration}ms.`));
+	queue.on("paused", () => console.log("Queue paused."));
+	queue.on("resumed", () => console.log("Queue resumed. Attempting to run tasks..."));
+	queue.on("cleared", ({ count }) => console.log(`Queue cleared. ${count} pending tasks removed.`));
+	queue.once("idle", () => console.log("[Queue] Went idle for the first time."));
+
+	// Add tasks to the queue
+	console.log("Adding tasks...");
+	queue.add(() => fetchUser(1, 1500)).then((user) => console.log("Task 1 resolved with:", user));
+	queue.add(() => fetchUser(2, 800));
+	queue.add(() => fetchUser(3, 2000)); // This one might fail
+	queue.add(() => fetchUser(4, 1200));
+	queue.add(() => fetchUser(5, 700), { priority: 1 }); // Queued, but jumps ahead of tasks 3 and 4 once a slot opens
+
+	console.log("Current running tasks:", queue.getRunningTasksCount()); // Expected: 2 (if tasks start immediately)
+	console.log("Current pending tasks:", queue.getPendingTasksCount()); // Expected: 3
+
+	// Test onIdle: This will resolve after all tasks (1,2,3,4,5) are done
+	queue
+		.onIdle()
+		.then(() => {
+			console.log("\n--- Queue is now idle! All initial tasks completed. ---");
+			console.log("Running tasks:", queue.getRunningTasksCount());
+			console.log("Pending tasks:", queue.getPendingTasksCount());
+
+			// Test pause and resume
+			console.log("\n--- Testing pause and resume ---");
+			queue.add(() => fetchUser(6, 1000));
+			queue.add(() => fetchUser(7, 1200));
+			queue.add(() => fetchUser(8, 500));
+
+			console.log("Tasks 6, 7, 8 added. Pausing queue in 100ms...");
+			setTimeout(() => {
+				queue.pause();
+				queue.add(() => fetchUser(9, 300)); // This task should be added but not run
+				console.log(
+					"Queue should be paused. Running:",
+					queue.getRunningTasksCount(),
+					"Pending:",
+					queue.getPendingTasksCount()
+				);
+			}, 100);
+
+			setTimeout(() => {
+				queue.resume();
+				console.log("Queue resumed. Running:", queue.getRunningTasksCount(), "Pending:", queue.getPendingTasksCount());
+			}, 2500); // Resume after some time
+
+			// Test clear
+			setTimeout(() => {
+				console.log("\n--- Testing clear ---");
+				console.log("Current pending tasks before clear:", queue.getPendingTasksCount());
+				queue.clear();
+				console.log("Current pending tasks after clear:", queue.getPendingTasksCount());
+				// Adding a new task after clear to ensure it still works
+				queue.add(() => fetchUser(10, 500));
+			}, 5000);
+
+			// Final idle check for all tasks, including resumed and new ones
+			queue.onIdle().then(() => {
+				console.log("\n--- All tasks completed, queue is truly idle. ---");
+			});
+		})
+		.catch((err) => {
+			console.error("An unhandled error occurred in the onIdle promise chain:", err);
+		});
+
+	// Demonstrate that onIdle can be called anytime
+	setTimeout(() => {
+		console.log("\n--- onIdle called while tasks are still running ---");
 		queue.onIdle().then(() => {
-			console.log("\n--- All tasks completed, queue is truly idle. ---");
+			console.log("onIdle resolved later, as expected.");
 		});
-	})
-	.catch((err) => {
-		console.error("An unhandled error occurred in the onIdle promise chain:", err);
-	});
+	}, 500);
 
-// Demonstrate that onIdle can be called anytime
-setTimeout(() => {
-	console.log("\n--- onIdle called while tasks are still running ---");
-	queue.onIdle().then(() => {
-		console.log("onIdle resolved later, as expected.");
-	});
-}, 500);
+	// --- Timeouts and cancellation ---
+	setTimeout(() => {
+		console.log("\n--- Testing timeouts and cancellation ---");
+		const abortableQueue = createAsyncQueue({ concurrency: 2, timeout: 1000 });
+		abortableQueue.onError = (error) => console.warn("Abortable queue error:", error.message);
+
+		// A task that honours its signal stops its own work when aborted.
+		const abortableFetch = (id, delay) => ({ signal }) =>
+			new Promise((resolve, reject) => {
+				const timer = setTimeout(() => resolve({ id, name: `User ${id}` }), delay);
+				signal.addEventListener("abort", () => {
+					clearTimeout(timer);
+					reject(signal.reason);
+				});
+			});
+
+		abortableQueue.add(abortableFetch(11, 3000), { id: "user-11" }).catch((error) => console.log(`[Task 11] ${error.name}`));
+		const slowTask = abortableQueue.add(abortableFetch(12, 5000), { id: "user-12", timeout: 10000 });
+		slowTask.catch((error) => console.log(`[Task 12] ${error.name}`));
+		abortableQueue.add(abortableFetch(13, 200), { id: "user-13" }).then((user) => console.log("[Task 13] Fetched", user.name));
+
+		setTimeout(() => abortableQueue.cancel(slowTask.id), 1500);
+	}, 10000);
+
+	// --- Retries with backoff ---
+	setTimeout(() => {
+		console.log("\n--- Testing retries with backoff ---");
+		const retryingQueue = createAsyncQueue({ concurrency: 1, retries: 3, retryDelay: 200, jitter: true });
+		retryingQueue.onError = (error) => console.warn("Retrying queue gave up:", error.message);
+
+		// Fails twice, then succeeds. The queue's single slot is free for other work between attempts.
+		retryingQueue
+			.add(({ attempt }) => {
+				console.log(`[Flaky task] Attempt ${attempt}`);
+				return attempt < 3 ? Promise.reject(new Error("Service unavailable")) : Promise.resolve("done");
+			})
+			.then((result) => console.log("[Flaky task] Finished with:", result));
+		retryingQueue.add(() => fetchUser(14, 100)).then((user) => console.log("[Task 14] Ran while the flaky task was backing off", user));
+
+		// Only retries errors the predicate considers transient.
+		retryingQueue
+			.add(() => Promise.reject(new Error("Not found")), { shouldRetry: (error) => error.message !== "Not found" })
+			.catch((error) => console.log("[Permanent failure] Gave up immediately:", error.message));
+	}, 14000);
+
+	// --- Rate limiting ---
+	setTimeout(() => {
+		console.log("\n--- Testing rate limiting (2 starts per second) ---");
+		const rateLimitedQueue = createAsyncQueue({ concurrency: 5, intervalCap: 2, interval: 1000 });
+		const startedAt = Date.now();
+
+		for (let id = 15; id <= 20; id++) {
+			rateLimitedQueue.add(() => {
+				console.log(`[Task ${id}] Started at +${Date.now() - startedAt}ms`);
+				return fetchUser(id, 100);
+			});
+		}
+	}, 18000);
+
+	// --- Keyed concurrency ---
+	setTimeout(() => {
+		console.log("\n--- Testing keyed concurrency (1 per user, 3 overall) ---");
+		const keyedQueue = createAsyncQueue({ concurrency: 3, perKeyConcurrency: 1 });
+		const log = (tenant, job) => () => {
+			console.log(`[${tenant}] Started job ${job}`);
+			return new Promise((resolve) => setTimeout(resolve, 200));
+		};
+
+		// A noisy tenant floods the queue, but the others still get their turn.
+		for (let job = 1; job <= 4; job++) {
+			keyedQueue.add(log("noisy", job), { key: "noisy" });
+		}
+		keyedQueue.add(log("alice", 1), { key: "alice" });
+		keyedQueue.add(log("bob", 1), { key: "bob" });
+		keyedQueue.add(log("alice", 2), { key: "alice" });
+	}, 22000);
+
+	// --- Task dependencies ---
+	setTimeout(() => {
+		console.log("\n--- Testing task dependencies (build pipeline) ---");
+		const pipeline = createAsyncQueue({ concurrency: 2 });
+		const step = (name, { fail = false } = {}) => () => {
+			console.log(`[Pipeline] ${name}`);
+			return new Promise((resolve, reject) =>
+				setTimeout(() => (fail ? reject(new Error(`${name} failed`)) : resolve(name)), 200)
+			);
+		};
+		pipeline.onError = (error) => console.warn("[Pipeline] Error:", error.message);
+
+		// "package" is added before one of its dependencies; lint and compile run in parallel.
+		pipeline.add(step("package"), { id: "package", dependsOn: ["test", "compile"] });
+		pipeline.add(step("lint"), { id: "lint" });
+		pipeline.add(step("compile"), { id: "compile" });
+		pipeline.add(step("test", { fail: true }), { id: "test", dependsOn: ["lint", "compile"] });
+		pipeline.add(step("publish"), { id: "publish", dependsOn: ["package"] }).catch((error) => console.log(`[Pipeline] ${error.message}`));
+
+		try {
+			pipeline.add(step("lint again"), { id: "lint-again", dependsOn: ["lint-again"] });
+		} catch (error) {
+			console.log("[Pipeline] Rejected:", error.message);
+		}
+	}, 25000);
+
+	// --- Dynamic and adaptive concurrency ---
+	setTimeout(() => {
+		console.log("\n--- Testing dynamic and adaptive concurrency ---");
+		const dynamicQueue = createAsyncQueue({ concurrency: 1 });
+		for (let job = 1; job <= 4; job++) {
+			dynamicQueue.add(() => new Promise((resolve) => setTimeout(resolve, 300)));
+		}
+		console.log("[Dynamic] Running with concurrency 1:", dynamicQueue.getRunningTasksCount());
+		dynamicQueue.setConcurrency(3);
+		console.log("[Dynamic] Running after setConcurrency(3):", dynamicQueue.getRunningTasksCount());
+
+		// The downstream starts failing under load; the adaptive queue backs off, then recovers.
+		const adaptiveQueue = createAsyncQueue({ concurrency: 8, adaptive: { window: 5, errorThreshold: 0.2 } });
+		let overloaded = true;
+		let finished = 0;
+		const logConcurrency = () => {
+			if (++finished % 5 === 0) {
+				console.log(`[Adaptive] After ${finished} jobs: concurrency ${adaptiveQueue.getConcurrency()}`);
+			}
+		};
+		adaptiveQueue.on("completed", logConcurrency).on("error", logConcurrency);
+		setTimeout(() => (overloaded = false), 600);
+		for (let job = 1; job <= 40; job++) {
+			adaptiveQueue.add(
+				() => new Promise((resolve, reject) => setTimeout(() => (overloaded ? reject(new Error("503")) : resolve()), 50))
+			);
+		}
+	}, 27000);
+
+	// --- Backpressure ---
+	setTimeout(async () => {
+		console.log("\n--- Testing backpressure (maxPending: 2, wait) ---");
+		const boundedQueue = createAsyncQueue({ concurrency: 1, maxPending: 2, overflowPolicy: "wait" });
+
+		// A fast producer (think: lines of a large file) is slowed down to the consumer's pace.
+		for (let line = 1; line <= 5; line++) {
+			const { result } = await boundedQueue.add(() => new Promise((resolve) => setTimeout(() => resolve(line), 100)));
+			console.log(`[Producer] Line ${line} admitted, pending: ${boundedQueue.getPendingTasksCount()}`);
+			result.then((value) => console.log(`[Consumer] Processed line ${value}`));
+		}
+
+		const droppingQueue = createAsyncQueue({ concurrency: 1, maxPending: 1, overflowPolicy: "drop-oldest" });
+		droppingQueue.add(() => new Promise((resolve) => setTimeout(resolve, 100)));
+		droppingQueue.add(() => "stale").catch((error) => console.log(`[Drop-oldest] ${error.name}: ${error.message}`));
+		droppingQueue.add(() => "fresh").then((value) => console.log(`[Drop-oldest] Ran the ${value} task`));
+	}, 29000);
+
+	// --- Streaming results ---
+	setTimeout(async () => {
+		console.log("\n--- Testing streaming results ---");
+		const streamingQueue = createAsyncQueue({ concurrency: 3 });
+		streamingQueue.onError = () => {}; // Failures are reported by the stream below
+		const lookup = (id, delay) => () => new Promise((resolve) => setTimeout(() => resolve(`User ${id}`), delay));
+
+		streamingQueue.add(lookup(21, 300), { id: 21 });
+		streamingQueue.add(lookup(22, 100), { id: 22 });
+		streamingQueue.add(() => Promise.reject(new Error("Not found")), { id: 23 });
+
+		for await (const { id, status, value, error } of streamingQueue.results({ ordered: true })) {
+			console.log(`[Results] #${id} ${status}:`, status === "completed" ? value : error.message);
+		}
+		console.log("[Results] Stream ended, queue drained.");
+	}, 31000);
+
+	// --- Graceful shutdown ---
+	setTimeout(() => {
+		console.log("\n--- Testing graceful shutdown ---");
+		const shutdownQueue = createAsyncQueue({ concurrency: 2 });
+		for (let job = 1; job <= 4; job++) {
+			shutdownQueue.add(() => new Promise((resolve) => setTimeout(resolve, 200 * job)));
+		}
+
+		// In a real service this would run from `process.once("SIGTERM", ...)`.
+		shutdownQueue.close({ drain: true, timeout: 500 }).then(() => {
+			console.log("[Shutdown] Every task settled; closed:", shutdownQueue.isClosed());
+		});
+		shutdownQueue.add(() => "too late").catch((error) => console.log(`[Shutdown] ${error.name}: ${error.message}`));
+	}, 33000);
+
+	// --- Fake clock ---
+	setTimeout(() => {
+		console.log("\n--- Testing a fake clock ---");
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		const fakeQueue = createAsyncQueue({ concurrency: 1, clock, retries: 2, retryDelay: 1000, backoff: "fixed" });
+		fakeQueue.on("active", ({ id, attempt }) => console.log(`[Fake clock] t=${clock.now()}ms: task ${id}, attempt ${attempt}`));
+
+		const delay = (ms) => new Promise((resolve) => clock.setTimeout(resolve, ms));
+		let calls = 0;
+		const flaky = fakeQueue.add(() => delay(500).then(() => (++calls < 3 ? Promise.reject(new Error("Flaky")) : "ok")));
+		fakeQueue.add(() => delay(500).then(() => "second"));
+
+		(async () => {
+			// Two failed attempts, two retry delays and the successful attempt: 3 * 500 + 2 * 1000.
+			await clock.advance(3500);
+			console.log(`[Fake clock] After 3.5 virtual seconds: ${await flaky}, ${fakeQueue.getRunningTasksCount()} running`);
+			await clock.runAll();
+			console.log(`[Fake clock] t=${clock.now()}ms, idle: ${fakeQueue.stats().running === 0}`);
+		})();
+	}, 35000);
+
+	// --- Deduplication ---
+	setTimeout(() => {
+		console.log("\n--- Testing deduplication ---");
+		const dedupeQueue = createAsyncQueue({ concurrency: 2, dedupeTTL: 500 });
+		let fetches = 0;
+		const fetchProfile = (userId) =>
+			dedupeQueue.add(
+				() => new Promise((resolve) => setTimeout(() => resolve({ userId, fetch: ++fetches }), 100)),
+				{ dedupeKey: `profile:${userId}` }
+			);
+
+		// Three components ask for the same profile at once: one fetch, one concurrency slot.
+		const requests = [fetchProfile(1), fetchProfile(1), fetchProfile(1), fetchProfile(2)];
+		console.log(`[Dedupe] Queued tasks: ${dedupeQueue.getRunningTasksCount() + dedupeQueue.getPendingTasksCount()}`);
+		Promise.all(requests).then((profiles) => {
+			console.log("[Dedupe] Results:", profiles.map(({ userId, fetch }) => `user ${userId} (fetch #${fetch})`).join(", "));
+			fetchProfile(1).then(({ fetch }) => console.log(`[Dedupe] Within the TTL, fetch #${fetch} is reused.`));
+			setTimeout(() => {
+				fetchProfile(1).then(({ fetch }) => console.log(`[Dedupe] After the TTL, a new fetch runs: #${fetch}.`));
+			}, 600);
+		});
+	}, 37000);
+
+	// --- Token bucket rate limiting ---
+	setTimeout(() => {
+		console.log("\n--- Testing a token bucket rate limiter ---");
+		const { createTokenBucket } = require("./create-token-bucket");
+		// Shared by two queues: bursts of 3 starts, then 5 starts per second across both.
+		const apiBucket = createTokenBucket({ capacity: 3, refillPerSecond: 5 });
+		const startedAt = Date.now();
+		const queues = ["search", "export"].map((name) => {
+			const queue = createAsyncQueue({ concurrency: 4, rateLimiter: apiBucket });
+			queue.on("active", ({ id }) => console.log(`[Token bucket] +${Math.round((Date.now() - startedAt) / 100) * 100}ms: ${name} task ${id}`));
+			for (let job = 0; job < 3; job++) {
+				queue.add(() => Promise.resolve());
+			}
+			return queue;
+		});
+		Promise.all(queues.map((queue) => queue.onIdle())).then(() => {
+			console.log(`[Token bucket] Done; ${apiBucket.getState().tokens.toFixed(1)} tokens left`);
+		});
+	}, 39000);
+}
@@ -0,0 +1,244 @@
+// Run with `node --test` from this folder. Every test drives the queue with a fake clock, so
+// timeouts, retries and rate limits are checked without real waits.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createAsyncQueue } = require("./create-async-queue");
+const { createFakeClock } = require("./create-fake-clock");
+const { createTokenBucket } = require("./create-token-bucket");
+
+/**
+ * Creates a queue on a fake clock, plus a `job(name, ms)` helper whose task records when it
+ * started and resolves with its name `ms` later.
+ */
+function setup({ clock = createFakeClock(), ...options } = {}) {
+	const queue = createAsyncQueue({ concurrency: 1, clock, ...options });
+	queue.onError = () => {}; // Rejections are asserted on the returned promises instead
+	const starts = [];
+	const job = (name, ms = 100) => () => {
+		starts.push(`${name}@${clock.now()}`);
+		return new Promise((resolve) => clock.setTimeout(() => resolve(name), ms));
+	};
+	return { clock, queue, starts, job };
+}
+
+test("runs higher priorities first and starts nothing while paused", async () => {
+	const { clock, queue, starts, job } = setup();
+
+	queue.add(job("first"));
+	queue.add(job("low"), { priority: 0 });
+	queue.add(job("high"), { priority: 5 });
+	queue.pause();
+
+	await clock.advance(500); // "first" finishes at 100, but the paused queue starts nothing else
+	assert.deepStrictEqual(starts, ["first@0"]);
+
+	queue.resume();
+	await clock.runAll();
+	assert.deepStrictEqual(starts, ["first@0", "high@500", "low@600"]);
+});
+
+test("aborts an attempt that exceeds its timeout", async () => {
+	const { clock, queue, job } = setup();
+
+	const slow = queue.add(job("slow", 1000), { timeout: 50 });
+	await clock.runAll();
+	await assert.rejects(slow, { name: "TimeoutError" });
+});
+
+test("retries a failing task with exponential backoff", async () => {
+	const { clock, queue } = setup();
+	const attempts = [];
+
+	const result = queue.add(
+		({ attempt }) => {
+			attempts.push(`${attempt}@${clock.now()}`);
+			return attempt < 3 ? Promise.reject(new Error(`attempt ${attempt} failed`)) : Promise.resolve("done");
+		},
+		{ retries: 2, retryDelay: 500 },
+	);
+
+	await clock.runAll();
+	assert.strictEqual(await result, "done");
+	assert.deepStrictEqual(attempts, ["1@0", "2@500", "3@1500"]);
+});
+
+test("rejects with the last error once the retries run out", async () => {
+	const { clock, queue } = setup();
+	let attempts = 0;
+
+	const result = queue.add(() => Promise.reject(new Error(`attempt ${++attempts} failed`)), {
+		retries: 1,
+		backoff: "fixed",
+		retryDelay: 100,
+	});
+
+	await clock.runAll();
+	await assert.rejects(result, { message: "attempt 2 failed" });
+});
+
+test("doesn't retry when shouldRetry says no", async () => {
+	const { clock, queue } = setup();
+	let attempts = 0;
+
+	const result = queue.add(
+		() => {
+			attempts++;
+			return Promise.reject(new TypeError("not retryable"));
+		},
+		{ retries: 3, shouldRetry: (error) => !(error instanceof TypeError) },
+	);
+
+	await clock.runAll();
+	await assert.rejects(result, { name: "TypeError" });
+	assert.strictEqual(attempts, 1);
+});
+
+test("starts at most intervalCap tasks per interval", async () => {
+	const { clock, queue, starts, job } = setup({ concurrency: 5, intervalCap: 2, interval: 1000 });
+
+	for (const name of ["a", "b", "c", "d", "e"]) {
+		queue.add(job(name, 10));
+	}
+
+	await clock.runAll();
+	assert.deepStrictEqual(starts, ["a@0", "b@0", "c@1000", "d@1000", "e@2000"]);
+});
+
+test("takes one token from the rate limiter per task start", async () => {
+	const clock = createFakeClock();
+	const rateLimiter = createTokenBucket({ capacity: 2, refillPerSecond: 4, clock });
+	const { queue, starts, job } = setup({ clock, concurrency: 5, rateLimiter });
+
+	for (const name of ["a", "b", "c", "d"]) {
+		queue.add(job(name, 10));
+	}
+
+	await clock.runAll();
+	assert.deepStrictEqual(starts, ["a@0", "b@0", "c@250", "d@500"]);
+});
+
+test("rejects a rate limiter that can never hold a whole token", () => {
+	const rateLimiter = createTokenBucket({ capacity: 0.5, refillPerSecond: 1, clock: createFakeClock() });
+	assert.throws(() => setup({ rateLimiter }), { message: /capacity must be at least 1/ });
+});
+
+test("runs a dependent task once its dependency completes", async () => {
+	const { clock, queue, starts, job } = setup({ concurrency: 2 });
+
+	const dependent = queue.add(job("report"), { dependsOn: ["fetch"] });
+	queue.add(job("fetch", 300), { id: "fetch" });
+
+	await clock.runAll();
+	assert.strictEqual(await dependent, "report");
+	assert.deepStrictEqual(starts, ["fetch@0", "report@300"]);
+});
+
+test("skips a dependent task when its dependency fails", async () => {
+	const { clock, queue, starts, job } = setup({ concurrency: 2 });
+
+	queue.add(() => Promise.reject(new Error("fetch failed")), { id: "fetch" });
+	const dependent = queue.add(job("report"), { id: "report", dependsOn: ["fetch"] });
+	const transitive = queue.add(job("email"), { dependsOn: ["report"] });
+
+	await clock.runAll();
+	await assert.rejects(dependent, { name: "DependencyError", dependency: "fetch" });
+	await assert.rejects(transitive, { name: "DependencyError", dependency: "report" });
+	assert.deepStrictEqual(starts, []);
+});
+
+test('rejects new tasks with a QueueFullError under the "reject" policy', async () => {
+	const { clock, queue, starts, job } = setup({ maxPending: 1 });
+	queue.pause();
+
+	const first = queue.add(job("first"));
+	const second = queue.add(job("second"));
+
+	await assert.rejects(second, { name: "QueueFullError" });
+	queue.resume();
+	await clock.runAll();
+	assert.strictEqual(await first, "first");
+	assert.deepStrictEqual(starts, ["first@0"]);
+});
+
+test('drops the oldest pending task under the "drop-oldest" policy', async () => {
+	const { clock, queue, starts, job } = setup({ maxPending: 2, overflowPolicy: "drop-oldest" });
+	queue.pause();
+
+	const first = queue.add(job("first"));
+	queue.add(job("second"));
+	queue.add(job("third"));
+
+	await assert.rejects(first, { name: "QueueFullError" });
+	queue.resume();
+	await clock.runAll();
+	assert.deepStrictEqual(starts, ["second@0", "third@100"]);
+});
+
+test('holds producers back until there is room under the "wait" policy', async () => {
+	const { clock, queue, starts, job } = setup({ maxPending: 1, overflowPolicy: "wait" });
+
+	const running = await queue.add(job("running")); // Starts right away, freeing the slot
+	const pending = await queue.add(job("pending"));
+	let isAdmitted = false;
+	const waiting = queue.add(job("waiting")).then((admission) => {
+		isAdmitted = true;
+		return admission;
+	});
+
+	await clock.flushMicrotasks();
+	assert.strictEqual(isAdmitted, false);
+
+	await clock.advance(100); // "running" finishes and "pending" starts, which makes room
+	assert.strictEqual(isAdmitted, true);
+	const admitted = await waiting;
+
+	await clock.runAll();
+	assert.deepStrictEqual(
+		await Promise.all([running.result, pending.result, admitted.result]),
+		["running", "pending", "waiting"],
+	);
+	assert.deepStrictEqual(starts, ["running@0", "pending@100", "waiting@200"]);
+});
+
+test("close() drains the remaining tasks and turns new ones away", async () => {
+	const { clock, queue, starts, job } = setup();
+	queue.add(job("first"));
+	queue.add(job("second"));
+	queue.pause();
+
+	let isClosed = false;
+	const closing = queue.close().then(() => (isClosed = true));
+	await assert.rejects(queue.add(job("late")), { name: "QueueClosedError" });
+
+	await clock.advance(100);
+	assert.strictEqual(isClosed, false);
+	await clock.runAll();
+	await closing;
+	assert.deepStrictEqual(starts, ["first@0", "second@100"]);
+	assert.strictEqual(queue.close(), queue.close()); // Repeated calls share one promise
+});
+
+test("close() aborts whatever is left once its timeout elapses", async () => {
+	const { clock, queue, starts, job } = setup();
+	const first = queue.add(job("first", 1000));
+	const second = queue.add(job("second"));
+
+	const closing = queue.close({ timeout: 500 });
+	await clock.advance(500);
+	await closing;
+
+	await assert.rejects(first, { name: "AbortError" });
+	await assert.rejects(second, { name: "AbortError" });
+	assert.deepStrictEqual(starts, ["first@0"]);
+});
+
+test("close({ drain: false }) aborts everything right away", async () => {
+	const { queue, starts, job } = setup();
+	const first = queue.add(job("first"));
+	const second = queue.add(job("second"));
+
+	await queue.close({ drain: false });
+	await assert.rejects(first, { name: "AbortError" });
+	await assert.rejects(second, { name: "AbortError" });
+	assert.deepStrictEqual(starts, ["first@0"]);
+});
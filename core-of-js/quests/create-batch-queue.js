@@ -0,0 +1,158 @@
+const { createAsyncQueue, createNamedError, rejectHandled } = require("./create-async-queue");
+const { systemClock } = require("./clock");
+
+/**
+ * Creates a batching queue: individual `add(item)` calls made close together are coalesced
+ * into arrays and passed to a single bulk `handler` call, DataLoader-style. Each caller still
+ * gets back its own result.
+ *
+ * A batch is dispatched once it holds `maxBatchSize` items or `maxWaitMs` after its first item
+ * was added, whichever comes first. Dispatched batches run on a `createAsyncQueue`, so its
+ * concurrency limit (one batch at a time by default), timeouts, retries and events apply to
+ * whole batches.
+ *
+ * The handler receives `(items, { signal, attempt })` and must resolve to an array with one
+ * result per item, in the same order. An `Error` instance in that array rejects only the
+ * matching caller; a rejected handler rejects every caller in the batch.
+ *
+ * @param {object} options - Configuration options for the batch queue.
+ * @param {Function} options.handler - The bulk function, `(items, { signal, attempt }) => Promise<Array>`.
+ * @param {number} [options.maxBatchSize=Infinity] - Maximum number of items per batch. Must be a positive integer.
+ * @param {number} [options.maxWaitMs=0] - How long a batch may keep collecting items after its first one.
+ * @param {number} [options.concurrency=1] - Maximum number of batches in flight at once.
+ * Any other option is passed on to `createAsyncQueue`, except `overflowPolicy: "wait"`.
+ * @returns {object} An object with `add`, `flush`, `onIdle` and `close` methods, and the underlying `queue`.
+ */
+function createBatchQueue({ handler, maxBatchSize = Infinity, maxWaitMs = 0, concurrency = 1, ...queueOptions }) {
+	if (typeof handler !== "function") {
+		throw new Error("Batch handler must be a function that returns a Promise.");
+	}
+	if (maxBatchSize !== Infinity && (typeof maxBatchSize !== "number" || maxBatchSize <= 0 || !Number.isInteger(maxBatchSize))) {
+		throw new Error("maxBatchSize must be a positive integer.");
+	}
+	if (typeof maxWaitMs !== "number" || !Number.isFinite(maxWaitMs) || maxWaitMs < 0) {
+		throw new Error("maxWaitMs must be a non-negative number of milliseconds.");
+	}
+	if (queueOptions.overflowPolicy === "wait") {
+		throw new Error('The "wait" overflow policy is not supported for batch queues.');
+	}
+
+	const queue = createAsyncQueue({ concurrency, ...queueOptions });
+	const { clock = systemClock } = queueOptions;
+	let batch = []; // Items collected for the next dispatch: { item, resolve, reject }
+	let batchTimerId = null; // Fires `maxWaitMs` after the first item of the current batch
+	const dispatchWaiters = []; // `onIdle()` callers waiting for the current batch to be handed to the queue
+
+	/**
+	 * Hands the collected items to the queue as a single task and routes each slot of the
+	 * handler's result back to the caller that added that item.
+	 */
+	const dispatch = () => {
+		clock.clearTimeout(batchTimerId);
+		batchTimerId = null;
+		const entries = batch;
+		batch = [];
+
+		if (entries.length > 0) {
+			const items = entries.map((entry) => entry.item);
+			queue
+				.add((context) => handler(items, context))
+				.then((results) => {
+					if (!Array.isArray(results) || results.length !== items.length) {
+						throw new Error(`Batch handler must return an array of ${items.length} results.`);
+					}
+					entries.forEach((entry, index) => {
+						const result = results[index];
+						if (result instanceof Error) {
+							entry.reject(result);
+						} else {
+							entry.resolve(result);
+						}
+					});
+				})
+				.catch((error) => {
+					entries.forEach((entry) => entry.reject(error));
+				});
+		}
+
+		dispatchWaiters.splice(0).forEach((resolve) => resolve());
+	};
+
+	return {
+		/**
+		 * Adds an item to the current batch.
+		 * @param {*} item - The item to pass to the handler as part of a batch.
+		 * @returns {Promise<*>} A promise that settles with this item's result.
+		 */
+		add(item) {
+			if (queue.isClosed()) {
+				return rejectHandled(createNamedError("QueueClosedError", "Queue is closed and no longer accepts tasks."));
+			}
+			const result = new Promise((resolve, reject) => {
+				batch.push({ item, resolve, reject });
+			});
+
+			if (batch.length >= maxBatchSize) {
+				dispatch();
+			} else if (batchTimerId === null) {
+				batchTimerId = clock.setTimeout(dispatch, maxWaitMs);
+			}
+			return result;
+		},
+
+		/**
+		 * Dispatches the current batch right away instead of waiting for it to fill up.
+		 */
+		flush() {
+			dispatch();
+		},
+
+		/**
+		 * Returns a Promise that resolves once the current batch has been dispatched and every
+		 * dispatched batch has finished.
+		 * @returns {Promise<void>}
+		 */
+		onIdle() {
+			const dispatched = batch.length === 0 ? Promise.resolve() : new Promise((resolve) => dispatchWaiters.push(resolve));
+			return dispatched.then(() => queue.onIdle());
+		},
+
+		/**
+		 * Dispatches the current batch and closes the underlying queue (see `createAsyncQueue`'s `close()`).
+		 * @param {object} [options] - `{ drain, timeout }`, as for the queue.
+		 * @returns {Promise<void>} Resolves once every batch has settled.
+		 */
+		close(options) {
+			dispatch();
+			return queue.close(options);
+		},
+
+		/**
+		 * The underlying queue, for events, pausing and introspection.
+		 */
+		queue,
+	};
+}
+
+module.exports = { createBatchQueue };
+
+// Example Usage:
+
+if (require.main === module) {
+	const userLoader = createBatchQueue({
+		maxBatchSize: 3,
+		maxWaitMs: 10,
+		handler: (ids) => {
+			console.log(`[Batch] One bulk lookup for users ${ids.join(", ")}`);
+			return Promise.resolve(ids.map((id) => (id === 404 ? new Error(`User ${id} not found`) : { id, name: `User ${id}` })));
+		},
+	});
+
+	// Five separate lookups become two bulk calls, and each caller gets its own user back.
+	[31, 32, 33, 34, 404].forEach((id) => {
+		userLoader
+			.add(id)
+			.then((user) => console.log(`[Batch] Caller for ${id} got`, user.name))
+			.catch((error) => console.log(`[Batch] Caller for ${id} failed:`, error.message));
+	});
+}
@@ -0,0 +1,156 @@
+/**
+ * Creates a fake clock for testing time-based utilities deterministically.
+ *
+ * `createAsyncQueue`, `createBatchQueue` (create-batch-queue.js) and `throttle` accept a `clock`
+ * option: any object with `now()`, `setTimeout(callback, ms)` and `clearTimeout(id)`. Passing a
+ * fake clock instead of the real one means timers only fire when the test moves time forward
+ * with `advance(ms)`, so timeouts, retries, rate limits and throttle windows can be checked
+ * without real waits.
+ *
+ * The real clock and the check a `clock` option goes through live in clock.js. The tests next
+ * to this file (`*.test.js`, run with `node --test`) show the fake clock driving real utilities.
+ *
+ * Timers fire in order of their due time (and in the order they were set when due together),
+ * and `now()` reads the due time of the timer being fired. Promise callbacks queued by the
+ * code under test are flushed before and after every timer, as they would be in a real event
+ * loop, which is why `advance()` and `runAll()` are async.
+ *
+ * @param {object} [options]
+ * @param {number} [options.now=0] - The clock's starting time in milliseconds.
+ * @returns {object} The clock: `now`, `setTimeout`, `clearTimeout`, `advance`, `runAll`, `flushMicrotasks` and `getTimerCount`.
+ */
+function createFakeClock({ now: startTime = 0 } = {}) {
+	if (typeof startTime !== "number" || !Number.isFinite(startTime)) {
+		throw new Error("The start time must be a finite number of milliseconds.");
+	}
+
+	let currentTime = startTime;
+	let nextTimerId = 1;
+	const timers = new Map(); // Timer id -> { callback, dueAt }; Map order doubles as creation order
+
+	/**
+	 * Finds the earliest timer due at or before `time`, or `undefined`.
+	 */
+	const findDueTimer = (time) => {
+		let earliest;
+		for (const [id, timer] of timers) {
+			if (timer.dueAt <= time && (!earliest || timer.dueAt < earliest.dueAt)) {
+				earliest = { id, ...timer };
+			}
+		}
+		return earliest;
+	};
+
+	const clock = {
+		/**
+		 * The current fake time in milliseconds.
+		 * @returns {number}
+		 */
+		now() {
+			return currentTime;
+		},
+
+		/**
+		 * Schedules `callback` to run once the clock has been advanced by `ms` milliseconds.
+		 * @returns {number} A timer id for `clearTimeout`.
+		 */
+		setTimeout(callback, ms = 0, ...args) {
+			const id = nextTimerId++;
+			const delay = Number.isFinite(ms) && ms > 0 ? ms : 0;
+			timers.set(id, { callback: () => callback(...args), dueAt: currentTime + delay });
+			return id;
+		},
+
+		/**
+		 * Cancels a timer. Unknown or already fired ids are ignored.
+		 */
+		clearTimeout(id) {
+			timers.delete(id);
+		},
+
+		/**
+		 * Lets every pending promise callback run, including those queued by other callbacks.
+		 * @returns {Promise<void>}
+		 */
+		flushMicrotasks() {
+			// A macrotask only runs once the microtask queue is empty.
+			return new Promise((resolve) => setImmediate(resolve));
+		},
+
+		/**
+		 * Moves time forward by `ms` milliseconds, firing every timer that falls due on the way,
+		 * including timers those timers set.
+		 * @param {number} ms - Milliseconds to advance by.
+		 * @returns {Promise<void>} Resolves once the timers have fired and microtasks are flushed.
+		 */
+		async advance(ms) {
+			if (typeof ms !== "number" || !Number.isFinite(ms) || ms < 0) {
+				throw new Error("advance() takes a non-negative number of milliseconds.");
+			}
+			const targetTime = currentTime + ms;
+			await clock.flushMicrotasks();
+			let timer;
+			while ((timer = findDueTimer(targetTime))) {
+				timers.delete(timer.id);
+				currentTime = timer.dueAt;
+				timer.callback();
+				await clock.flushMicrotasks();
+			}
+			currentTime = targetTime;
+		},
+
+		/**
+		 * Advances time until no timers are left.
+		 * @param {object} [options]
+		 * @param {number} [options.limit=1000] - Maximum number of timers to fire, to stop runaway timer loops.
+		 * @returns {Promise<void>}
+		 */
+		async runAll({ limit = 1000 } = {}) {
+			await clock.flushMicrotasks();
+			for (let fired = 0; timers.size > 0; fired++) {
+				if (fired >= limit) {
+					throw new Error(`runAll() fired ${limit} timers and more keep being set.`);
+				}
+				const timer = findDueTimer(Infinity);
+				await clock.advance(timer.dueAt - currentTime);
+			}
+		},
+
+		/**
+		 * The number of timers that haven't fired or been cleared yet.
+		 * @returns {number}
+		 */
+		getTimerCount() {
+			return timers.size;
+		},
+	};
+
+	return clock;
+}
+
+module.exports = { createFakeClock };
+
+// Example Usage:
+
+if (require.main === module) {
+	const { validateClock } = require("./clock");
+	const clock = createFakeClock();
+	validateClock(clock); // A fake clock fits wherever the real one does
+	const log = (message) => console.log(`[t=${clock.now()}ms] ${message}`);
+
+	clock.setTimeout(() => log("Second timer"), 200);
+	clock.setTimeout(() => {
+		log("First timer");
+		clock.setTimeout(() => log("Timer set by the first timer"), 50);
+		Promise.resolve().then(() => log("Promise callback queued by the first timer"));
+	}, 100);
+	const cancelled = clock.setTimeout(() => log("Never runs"), 120);
+	clock.clearTimeout(cancelled);
+
+	(async () => {
+		await clock.advance(100); // Fires the first timer and its promise callback
+		log(`Timers left: ${clock.getTimerCount()}`);
+		await clock.runAll(); // Fires the remaining two timers in due order
+		log(`Timers left: ${clock.getTimerCount()}`);
+	})();
+}
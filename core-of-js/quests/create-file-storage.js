@@ -0,0 +1,105 @@
+/**
+ * File-backed task storage using an append-only JSON-lines log. Every `save` appends an
+ * `add` line and every `remove` appends a `remove` line, so a crash never leaves a record
+ * half-rewritten. Settled tasks are compacted out of the log on `load()` and after every
+ * `compactThreshold` removals, by rewriting the file with only the pending records.
+ *
+ * Implements the same adapter interface as `createMemoryStorage()` in create-async-queue.js.
+ * Node.js only: the `fs` module is loaded when the adapter is created.
+ * @param {string} filePath - Path of the log file. It is created on the first write.
+ * @param {object} [options]
+ * @param {number} [options.compactThreshold=100] - Removals to accumulate before compacting the log.
+ * @returns {object} A storage adapter.
+ */
+function createFileStorage(filePath, { compactThreshold = 100 } = {}) {
+	const fs = require("fs");
+	const pending = new Map(); // Mirror of the records the log still considers pending
+	let removalsSinceCompaction = 0;
+
+	const append = (entry) => {
+		fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+	};
+
+	// Write to a temporary file first and rename it over the log, so the swap is atomic.
+	const compact = () => {
+		const lines = [...pending.values()].map((record) => `${JSON.stringify({ op: "add", ...record })}\n`);
+		const tempPath = `${filePath}.tmp`;
+		fs.writeFileSync(tempPath, lines.join(""));
+		fs.renameSync(tempPath, filePath);
+		removalsSinceCompaction = 0;
+	};
+
+	return {
+		load() {
+			pending.clear();
+			if (!fs.existsSync(filePath)) {
+				return [];
+			}
+			for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+				if (line.trim() === "") {
+					continue;
+				}
+				let entry;
+				try {
+					entry = JSON.parse(line);
+				} catch {
+					// A torn final line from a crash mid-write; everything before it is intact.
+					continue;
+				}
+				if (entry.op === "add") {
+					const { op, ...record } = entry;
+					pending.set(record.id, record);
+				} else if (entry.op === "remove") {
+					pending.delete(entry.id);
+				}
+			}
+			compact();
+			return [...pending.values()];
+		},
+		save(record) {
+			append({ op: "add", ...record });
+			pending.set(record.id, record);
+		},
+		remove(id) {
+			if (!pending.delete(id)) {
+				return;
+			}
+			append({ op: "remove", id });
+			if (++removalsSinceCompaction >= compactThreshold) {
+				compact();
+			}
+		},
+	};
+}
+
+module.exports = { createFileStorage };
+
+// Example Usage:
+
+if (require.main === module) {
+	const { createAsyncQueue } = require("./create-async-queue");
+	const path = require("path");
+	const os = require("os");
+	const logFile = path.join(os.tmpdir(), "async-queue-example.jsonl");
+	const handlers = {
+		sendEmail: (payload) => {
+			console.log(`[sendEmail] Sending "${payload.subject}" to ${payload.to}`);
+			return new Promise((resolve) => setTimeout(resolve, 300));
+		},
+	};
+
+	// First "process": queue three emails, then go away while two are still pending.
+	const firstRun = createAsyncQueue({ concurrency: 1, handlers, storage: createFileStorage(logFile) });
+	firstRun.add({ type: "sendEmail", payload: { to: "ada@example.com", subject: "Welcome" } });
+	firstRun.add({ type: "sendEmail", payload: { to: "alan@example.com", subject: "Welcome" } });
+	firstRun.add({ type: "sendEmail", payload: { to: "grace@example.com", subject: "Welcome" } });
+	firstRun.pause();
+
+	// Second "process": reads the log on creation and resumes the unfinished records.
+	// (The first queue is simply abandoned, as it would be after a crash.)
+	setTimeout(() => {
+		const secondRun = createAsyncQueue({ concurrency: 1, handlers, storage: createFileStorage(logFile) });
+		secondRun.on("add", ({ id }) => console.log(`[Restart] Restored task #${id}`));
+		secondRun.once("idle", () => console.log("[Restart] All restored emails sent."));
+	}, 500);
+}
@@ -0,0 +1,187 @@
+const { systemClock, validateClock } = require("./clock");
+
+/**
+ * Creates a token bucket: a rate limiter that allows bursts.
+ *
+ * The bucket holds up to `capacity` tokens and gains `refillPerSecond` of them every second
+ * (continuously, not in steps). Each unit of work takes one or more tokens: a full bucket lets
+ * a burst of `capacity` through at once, after which work proceeds at the refill rate.
+ *
+ * `take(n)` waits for tokens; waiting callers are served in FIFO order, and `tryTake(n)` doesn't
+ * jump ahead of them. `getWaitTime(n)` tells how long until `n` tokens would be available.
+ *
+ * One bucket can be shared by several consumers: pass it as the `bucket` option of `throttle`
+ * (js-native-throttling.js) or as the `rateLimiter` option of `createAsyncQueue`
+ * (create-async-queue.js), which take one token per invocation or task start.
+ *
+ * @param {object} options
+ * @param {number} options.capacity - Maximum number of tokens (the largest burst). Must be positive.
+ * @param {number} options.refillPerSecond - Tokens added per second. Must be positive.
+ * @param {number} [options.initialTokens=capacity] - Tokens available right away.
+ * @param {object} [options.clock] - Source of `now()`, `setTimeout()` and `clearTimeout()`. Defaults to the real clock.
+ * @returns {object} The bucket: `tryTake`, `take`, `getWaitTime` and `getState`.
+ */
+function createTokenBucket({ capacity, refillPerSecond, initialTokens = capacity, clock = systemClock }) {
+	validateBucketOptions({ capacity, refillPerSecond, initialTokens });
+	validateClock(clock);
+
+	let tokens = initialTokens;
+	let lastRefillAt = clock.now();
+	const waiters = []; // take() callers in FIFO order: { count, resolve, reject, signal, onAbort }
+	let wakeTimerId = null; // Fires when the first waiter can be served
+
+	/**
+	 * Adds the tokens earned since the last refill.
+	 */
+	const refill = () => {
+		const now = clock.now();
+		tokens = Math.min(capacity, tokens + ((now - lastRefillAt) * refillPerSecond) / 1000);
+		lastRefillAt = now;
+	};
+
+	/**
+	 * Milliseconds until `count` tokens are available beyond those `take()` callers wait for.
+	 */
+	const waitTimeFor = (count) => {
+		refill();
+		const needed = waiters.reduce((sum, waiter) => sum + waiter.count, count);
+		return needed <= tokens ? 0 : getRefillTime(needed - tokens, refillPerSecond);
+	};
+
+	/**
+	 * Serves as many waiters as the tokens allow, then sleeps until the next one can be.
+	 */
+	const serveWaiters = () => {
+		clock.clearTimeout(wakeTimerId);
+		wakeTimerId = null;
+		refill();
+		while (waiters.length > 0 && waiters[0].count <= tokens) {
+			const waiter = waiters.shift();
+			tokens -= waiter.count;
+			waiter.signal?.removeEventListener("abort", waiter.onAbort);
+			waiter.resolve();
+		}
+		if (waiters.length > 0) {
+			wakeTimerId = clock.setTimeout(serveWaiters, getRefillTime(waiters[0].count - tokens, refillPerSecond));
+		}
+	};
+
+	return {
+		/**
+		 * Takes `count` tokens if they are available right now (and nobody is waiting for them).
+		 * @param {number} [count=1]
+		 * @returns {boolean} Whether the tokens were taken.
+		 */
+		tryTake(count = 1) {
+			validateTokenCount(count, capacity);
+			if (waitTimeFor(count) > 0) {
+				return false;
+			}
+			tokens -= count;
+			return true;
+		},
+
+		/**
+		 * Takes `count` tokens, waiting for them if necessary.
+		 * @param {number} [count=1]
+		 * @param {object} [options]
+		 * @param {AbortSignal} [options.signal] - Stops waiting; the promise rejects with the signal's reason.
+		 * @returns {Promise<void>} Resolves once the tokens have been taken.
+		 */
+		take(count = 1, { signal } = {}) {
+			validateTokenCount(count, capacity);
+			if (signal?.aborted) {
+				return Promise.reject(signal.reason);
+			}
+			return new Promise((resolve, reject) => {
+				const waiter = { count, resolve, reject, signal };
+				waiter.onAbort = () => {
+					waiters.splice(waiters.indexOf(waiter), 1);
+					reject(signal.reason);
+					// The next waiter may fit now that this one no longer goes first.
+					serveWaiters();
+				};
+				signal?.addEventListener("abort", waiter.onAbort, { once: true });
+				waiters.push(waiter);
+				serveWaiters();
+			});
+		},
+
+		/**
+		 * Milliseconds until `count` tokens could be taken, counting tokens that waiting
+		 * `take()` callers will get first. 0 means `tryTake(count)` would succeed now.
+		 * @param {number} [count=1]
+		 * @returns {number}
+		 */
+		getWaitTime(count = 1) {
+			validateTokenCount(count, capacity);
+			return waitTimeFor(count);
+		},
+
+		/**
+		 * A snapshot of the bucket.
+		 * @returns {object} `{ tokens, capacity, refillPerSecond, waiting }`, where `waiting` counts `take()` callers.
+		 */
+		getState() {
+			refill();
+			return { tokens, capacity, refillPerSecond, waiting: waiters.length };
+		},
+	};
+}
+
+/**
+ * Ensures the options a new bucket is created with are usable.
+ */
+function validateBucketOptions({ capacity, refillPerSecond, initialTokens }) {
+	if (typeof capacity !== "number" || !(capacity > 0) || !Number.isFinite(capacity)) {
+		throw new Error("Capacity must be a positive number.");
+	}
+	if (typeof refillPerSecond !== "number" || !(refillPerSecond > 0) || !Number.isFinite(refillPerSecond)) {
+		throw new Error("refillPerSecond must be a positive number.");
+	}
+	if (typeof initialTokens !== "number" || !(initialTokens >= 0) || initialTokens > capacity) {
+		throw new Error("initialTokens must be a number between 0 and capacity.");
+	}
+}
+
+function validateTokenCount(count, capacity) {
+	if (typeof count !== "number" || !(count > 0) || count > capacity) {
+		throw new RangeError(`Token count must be a positive number no larger than the capacity (${capacity}).`);
+	}
+}
+
+/**
+ * Milliseconds until `missing` tokens have been refilled, rounded up to at least 1 so a timer
+ * set for it never fires before the tokens are there.
+ */
+function getRefillTime(missing, refillPerSecond) {
+	return Math.max(1, Math.ceil((missing * 1000) / refillPerSecond));
+}
+
+// The validation and refill helpers are shared with the shared-memory bucket (shared-rate-limiter.js).
+module.exports = { createTokenBucket, validateBucketOptions, validateTokenCount, getRefillTime };
+
+// Example Usage:
+
+if (require.main === module) {
+	const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 2 });
+	const startedAt = Date.now();
+	const log = (message) => console.log(`[+${String(Date.now() - startedAt).padStart(4)}ms] ${message}`);
+
+	// A full bucket absorbs a burst of 3...
+	for (let request = 1; request <= 4; request++) {
+		log(`Request ${request}: ${bucket.tryTake() ? "allowed" : `rejected, retry in ${bucket.getWaitTime()}ms`}`);
+	}
+
+	// ...after which take() paces callers at the refill rate (one token every 500ms).
+	const controller = new AbortController();
+	Promise.all(
+		[5, 6, 7].map((request) =>
+			bucket.take(1, request === 7 ? { signal: controller.signal } : {}).then(
+				() => log(`Request ${request}: allowed after waiting`),
+				(error) => log(`Request ${request}: gave up waiting (${error.name})`)
+			)
+		)
+	).then(() => log(`State: ${JSON.stringify(bucket.getState())}`));
+	setTimeout(() => controller.abort(), 700);
+}
@@ -0,0 +1,219 @@
+/**
+ * Creates a pool of `worker_threads` workers that run `{ module, export, args }` tasks one at a
+ * time each: a worker calls `require(module)[export](...args)` and sends the result back. This
+ * is the backend of `createAsyncQueue`'s worker tasks (create-async-queue.js), which keep
+ * CPU-bound work off the main thread.
+ *
+ * Workers are spawned when no idle one is left (up to `maxWorkers`; callers wait for one beyond
+ * that) and are unref'd while idle, so an idle pool doesn't keep the process alive. Aborting a
+ * task terminates its worker, since synchronous code can't be interrupted otherwise.
+ *
+ * Module paths and names are resolved against the current working directory. `args` and the
+ * result must be structured-cloneable; an error thrown in the worker comes back as an `Error`
+ * with the original `name`, `message` and `stack`.
+ *
+ * Each worker runs this same file as its entry point (see the end of the file).
+ *
+ * @param {number} [maxWorkers=Infinity] - Upper bound on the number of workers.
+ * @returns {object} The pool: `run(task, signal)`, which resolves with the task's result, and `terminate()`.
+ */
+function createWorkerPool(maxWorkers = Infinity) {
+	const { Worker } = require("worker_threads");
+	const idleWorkers = [];
+	const waiting = []; // Callers waiting for a worker: resolve functions
+	let workerCount = 0;
+
+	const spawn = () => new Worker(__filename, { workerData: POOL_WORKER });
+
+	const acquire = () => {
+		if (idleWorkers.length > 0) {
+			return Promise.resolve(idleWorkers.pop());
+		}
+		if (workerCount < maxWorkers) {
+			workerCount++;
+			return Promise.resolve(spawn());
+		}
+		return new Promise((resolve) => waiting.push(resolve));
+	};
+
+	const release = (worker) => {
+		if (waiting.length > 0) {
+			waiting.shift()(worker);
+		} else {
+			worker.unref();
+			idleWorkers.push(worker);
+		}
+	};
+
+	// A terminated or crashed worker frees its place in the pool.
+	const discard = (worker) => {
+		worker.terminate();
+		workerCount--;
+		if (waiting.length > 0) {
+			workerCount++;
+			waiting.shift()(spawn());
+		}
+	};
+
+	return {
+		/**
+		 * Runs a task on a free worker.
+		 * @param {object} task - `{ module, export = "default", args = [] }`.
+		 * @param {AbortSignal} signal - Terminates the worker and rejects with the signal's reason.
+		 * @returns {Promise<*>} The export's result.
+		 */
+		async run({ module, export: exportName = "default", args = [] }, signal) {
+			signal.throwIfAborted();
+			// Resolved here, so the workers (which run from this folder) find what the caller would.
+			const resolvedModule = require.resolve(module, { paths: [process.cwd()] });
+			const worker = await acquire();
+			if (signal.aborted) {
+				release(worker);
+				throw signal.reason;
+			}
+			worker.ref();
+
+			return new Promise((resolve, reject) => {
+				const settle = () => {
+					worker.off("message", onMessage);
+					worker.off("error", onError);
+					worker.off("exit", onExit);
+					signal.removeEventListener("abort", onAbort);
+				};
+				const onMessage = ({ ok, value, error }) => {
+					settle();
+					release(worker);
+					ok ? resolve(value) : reject(toWorkerError(error));
+				};
+				const onError = (error) => {
+					settle();
+					discard(worker);
+					reject(error);
+				};
+				const onExit = (code) => onError(new Error(`Worker exited unexpectedly with code ${code}.`));
+				const onAbort = () => {
+					settle();
+					discard(worker);
+					reject(signal.reason);
+				};
+
+				worker.on("message", onMessage);
+				worker.on("error", onError);
+				worker.on("exit", onExit);
+				signal.addEventListener("abort", onAbort, { once: true });
+				worker.postMessage({ module: resolvedModule, exportName, args });
+			});
+		},
+
+		/**
+		 * Stops every idle worker. Called by the queue's `close()` once it has settled.
+		 */
+		async terminate() {
+			await Promise.all(idleWorkers.splice(0).map((worker) => worker.terminate()));
+			workerCount = 0;
+		},
+	};
+}
+
+/**
+ * Whether a task is a `{ module, export, args }` descriptor to run on a worker thread.
+ */
+function isWorkerTaskDescriptor(task) {
+	return task !== null && typeof task === "object" && "module" in task;
+}
+
+function validateWorkerTask({ module, export: exportName = "default", args = [] }) {
+	if (typeof module !== "string" || module === "") {
+		throw new Error("A worker task's module must be a module path or name.");
+	}
+	if (typeof exportName !== "string") {
+		throw new Error("A worker task's export must be the name of an exported function.");
+	}
+	if (!Array.isArray(args)) {
+		throw new Error("A worker task's args must be an array.");
+	}
+}
+
+/**
+ * Runs inside each pool worker: loads the requested module and calls the export with the arguments.
+ */
+function servePoolTasks(parentPort) {
+	parentPort.on("message", async ({ module, exportName, args }) => {
+		try {
+			const exported = require(module);
+			const fn = exportName === "default" && typeof exported === "function" ? exported : exported[exportName];
+			if (typeof fn !== "function") {
+				throw new TypeError(`"${exportName}" is not a function exported by ${module}.`);
+			}
+			parentPort.postMessage({ ok: true, value: await fn(...args) });
+		} catch (error) {
+			// Not every thrown value (or the DataCloneError of an uncloneable result) survives
+			// postMessage intact, so send the parts the main thread rebuilds an Error from.
+			const isObject = error !== null && typeof error === "object";
+			parentPort.postMessage({
+				ok: false,
+				error: {
+					name: isObject && typeof error.name === "string" ? error.name : "Error",
+					message: isObject && typeof error.message === "string" ? error.message : String(error),
+					stack: isObject && typeof error.stack === "string" ? error.stack : undefined,
+				},
+			});
+		}
+	});
+}
+
+/**
+ * Rebuilds the `Error` a worker task threw from the `{ name, message, stack }` it sent back.
+ */
+function toWorkerError({ name, message, stack }) {
+	const error = new Error(message);
+	error.name = name;
+	if (stack !== undefined) {
+		error.stack = stack;
+	}
+	return error;
+}
+
+// The `workerData` that tells a pool worker apart from running this file directly.
+const POOL_WORKER = "createWorkerPool worker";
+
+module.exports = { createWorkerPool, isWorkerTaskDescriptor, validateWorkerTask };
+
+// Example Usage:
+
+if (require.main === module) {
+	const { isMainThread, parentPort, workerData } = require("worker_threads");
+
+	if (!isMainThread && workerData === POOL_WORKER) {
+		// Inside a pool worker: serve the tasks the pool sends.
+		servePoolTasks(parentPort);
+	} else {
+		const { createAsyncQueue } = require("./create-async-queue");
+		const cpuQueue = createAsyncQueue({ concurrency: 2 });
+		cpuQueue.onError = () => {};
+		const hashPassword = (password) => ({
+			module: "crypto",
+			export: "pbkdf2Sync",
+			args: [password, "salt", 200000, 32, "sha256"],
+		});
+		let ticks = 0;
+		const ticker = setInterval(() => ticks++, 10);
+
+		for (const password of ["hunter2", "correct horse", "swordfish"]) {
+			cpuQueue
+				.add(hashPassword(password))
+				.then((hash) => console.log(`[Workers] ${password}: ${Buffer.from(hash).toString("hex").slice(0, 16)}...`));
+		}
+		cpuQueue
+			.add(hashPassword("too slow"), { timeout: 5 })
+			.catch((error) => console.log(`[Workers] Timed out task terminated its worker: ${error.name}`));
+		cpuQueue
+			.add({ module: "path", export: "noSuchExport" })
+			.catch((error) => console.log(`[Workers] Errors come back intact: ${error.name}: ${error.message}`));
+
+		cpuQueue.close().then(() => {
+			clearInterval(ticker);
+			console.log(`[Workers] Done; the main thread stayed responsive (${ticks} timer ticks while hashing).`);
+		});
+	}
+}
@@ -0,0 +1,88 @@
+/**
+ * Formats a `queue.stats()` snapshot in the Prometheus text exposition format, e.g. for an
+ * Express `/metrics` route:
+ *
+ *     app.get("/metrics", (req, res) => {
+ *         res.type("text/plain").send(formatPrometheusMetrics(queue.stats(), { labels: { queue: "emails" } }));
+ *     });
+ *
+ * Times are exported in seconds, following Prometheus conventions. Wait and run times are
+ * summaries: quantiles over the recent samples, plus `_sum` and `_count` since the queue started.
+ * @param {object} stats - A snapshot returned by `queue.stats()`.
+ * @param {object} [options]
+ * @param {string} [options.prefix="async_queue"] - Prefix for every metric name.
+ * @param {object} [options.labels={}] - Labels added to every sample, e.g. `{ queue: "emails" }`.
+ * @returns {string} The metrics, one sample per line.
+ */
+function formatPrometheusMetrics(stats, { prefix = "async_queue", labels = {} } = {}) {
+	const lines = [];
+	const formatLabels = (extra = {}) => {
+		const pairs = Object.entries({ ...labels, ...extra }).map(
+			([name, value]) => `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+		);
+		return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+	};
+	// Samples are [labels, value] pairs, or [labels, value, suffix] for a summary's `_sum`/`_count`.
+	const metric = (name, type, help, samples) => {
+		lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+		for (const [extraLabels, value, suffix = ""] of samples) {
+			lines.push(`${prefix}_${name}${suffix}${formatLabels(extraLabels)} ${value}`);
+		}
+	};
+	const summary = (times) => [
+		...[
+			["0.5", times.p50],
+			["0.95", times.p95],
+			["0.99", times.p99],
+		]
+			.filter(([, value]) => value !== null)
+			.map(([quantile, value]) => [{ quantile }, value / 1000]),
+		[{}, times.sum / 1000, "_sum"],
+		[{}, times.count, "_count"],
+	];
+
+	const { retried, ...outcomes } = stats.counts;
+	metric(
+		"tasks_total",
+		"counter",
+		"Tasks settled, by outcome.",
+		Object.entries(outcomes).map(([status, count]) => [{ status }, count])
+	);
+	metric("retries_total", "counter", "Task attempts that were retried.", [[{}, retried]]);
+	metric("wait_time_seconds", "summary", "Time tasks waited before starting.", summary(stats.waitTime));
+	metric("run_time_seconds", "summary", "Time task attempts ran for.", summary(stats.runTime));
+	metric("throughput_per_second", "gauge", "Tasks settled per second over the last minute.", [[{}, stats.throughputPerSecond]]);
+	metric("running_tasks", "gauge", "Tasks currently running.", [[{}, stats.running]]);
+	metric("pending_tasks", "gauge", "Tasks waiting to run.", [[{}, stats.pending]]);
+	metric("concurrency", "gauge", "Current concurrency limit.", [[{}, stats.concurrency]]);
+
+	return `${lines.join("\n")}\n`;
+}
+
+module.exports = { formatPrometheusMetrics };
+
+// Example Usage:
+
+if (require.main === module) {
+	const { createAsyncQueue } = require("./create-async-queue");
+	const measuredQueue = createAsyncQueue({ concurrency: 2, retries: 1, retryDelay: 50 });
+	measuredQueue.onError = () => {};
+	for (let job = 1; job <= 6; job++) {
+		measuredQueue.add(({ attempt }) =>
+			new Promise((resolve, reject) =>
+				setTimeout(() => (job === 3 && attempt === 1 ? reject(new Error("Flaky")) : resolve(job)), 50 * job)
+			)
+		);
+	}
+
+	setTimeout(() => {
+		const { counts, waitTime, inFlight } = measuredQueue.stats();
+		console.log("[Metrics] Counts:", counts);
+		console.log("[Metrics] Wait time (ms):", waitTime);
+		console.log("[Metrics] In flight:", inFlight);
+	}, 300);
+
+	measuredQueue.onIdle().then(() => {
+		console.log(formatPrometheusMetrics(measuredQueue.stats(), { labels: { queue: "example" } }));
+	});
+}
@@ -1,135 +1,723 @@
+// The real clock is used unless a `clock` option (e.g. a fake clock in tests) is passed.
+const { systemClock, validateClock } = require("./clock");
+
+// How long a frame lasts where requestAnimationFrame isn't available (Node, tests): about 60 frames a second.
+const FRAME_FALLBACK_MS = 16;
+
+/**
+ * Creates a throttled function that invokes `func` at most once per `wait` milliseconds.
+ *
+ * The first call opens a window of `wait` milliseconds (invoking `func` right away if `leading`).
+ * Calls made while the window is open don't extend it; they only replace the arguments and
+ * `this` kept for the trailing call. When the window closes, the trailing call runs with the
+ * latest of them (if `trailing` and there were any) and opens the next window, so invocations
+ * are always at least `wait` apart.
+ *
+ * Pass `"raf"` as `wait` (or the `scheduler: "raf"` option) to end each window at the next
+ * animation frame instead, so UI handlers such as `mousemove` run at most once per frame. Where
+ * `requestAnimationFrame` isn't available, or a `clock` is given, frames are emulated with a
+ * 16ms timer. `leading` and `trailing` work the same way in this mode.
+ *
+ * With a `bucket` (see create-token-bucket.js) the throttle uses it instead of `wait`: a call
+ * runs right away if it can take a token (if `leading`), so bursts up to the bucket's capacity
+ * go through, and otherwise the latest call runs as soon as the next token is available (if
+ * `trailing`). Every invocation takes a token, including one run by `flush()`. One bucket can be
+ * shared by several throttled functions and queues to enforce a single rate.
+ *
+ * The throttled function returns the result of the most recent invocation of `func`.
+ * It also has `cancel()`, `flush()` and `pending()` methods.
+ *
+ * @param {Function} func - The function to throttle.
+ * @param {number|"raf"} wait - Minimum number of milliseconds between invocations, or `"raf"` for once per animation frame.
+ * @param {object} [options]
+ * @param {"timeout"|"raf"} [options.scheduler="timeout"] - `"raf"` is the same as passing `"raf"` as `wait`.
+ * @param {object} [options.bucket] - A token bucket (`tryTake()`, `getWaitTime()`) that paces invocations instead of `wait`.
+ * @param {boolean} [options.leading=true] - Invoke on the first call of a window.
+ * @param {boolean} [options.trailing=true] - Invoke with the latest arguments when a window closes, if calls were made during it.
+ * @param {object} [options.clock] - Source of `now()`, `setTimeout()` and `clearTimeout()`. Defaults to the real clock.
+ * @returns {Function} The throttled function.
+ */
 function throttle(func, wait, options = {}) {
-	// inThrottle: A boolean flag indicating if the function is currently in a throttled state.
-	// lastFn: Stores the original function when a trailing call is pending.
-	// lastTime: Stores the timestamp of the last function execution or leading edge trigger.
-	let inThrottle, lastFn, lastTime;
+	// timeoutId: The timer (or animation frame request) that closes the current window; null when no window is open.
+	// pendingArgs / pendingContext: The latest arguments and 'this' of a call waiting for the trailing edge.
+	// hasPendingCall: Whether a trailing call is waiting (arguments alone can't tell, they may be empty).
+	// result: The return value of the most recent invocation of 'func'.
+	let timeoutId = null;
+	let pendingArgs, pendingContext, result;
+	let hasPendingCall = false;
 
 	// Destructure leading and trailing options from the options object.
 	// Provide default values of true if they are not explicitly set.
-	const { leading = true, trailing = true } = options;
+	// 'clock' supplies now(), setTimeout() and clearTimeout(); tests can pass a fake one.
+	const { leading = true, trailing = true, clock = systemClock, scheduler = "timeout", bucket } = options;
+
+	// Frame mode: windows end at the next animation frame rather than after 'wait' milliseconds.
+	// A custom clock takes precedence over requestAnimationFrame, so tests stay deterministic.
+	const isFrameMode = wait === "raf" || scheduler === "raf";
+	const useAnimationFrame = isFrameMode && !options.clock && typeof requestAnimationFrame === "function";
 
 	// Input validation: Ensure 'func' is a function.
 	if (typeof func !== "function") {
 		throw new TypeError("Expected a function");
 	}
 
-	// Input validation: Ensure 'wait' is a non-negative number.
-	if (typeof wait !== "number" || wait < 0) {
-		throw new TypeError("Expected a non-negative number for wait");
+	// Input validation: Ensure 'scheduler' is one we know.
+	if (scheduler !== "timeout" && scheduler !== "raf") {
+		throw new TypeError('Expected scheduler to be "timeout" or "raf"');
+	}
+
+	// Input validation: Ensure 'bucket' is a token bucket, which paces calls on its own.
+	if (bucket !== undefined) {
+		if (!bucket || typeof bucket.tryTake !== "function" || typeof bucket.getWaitTime !== "function") {
+			throw new TypeError("Expected bucket to have tryTake() and getWaitTime() methods");
+		}
+		if (isFrameMode) {
+			throw new TypeError('Expected either a bucket or "raf", not both');
+		}
+	}
+
+	// Input validation: Ensure 'wait' is a non-negative number (it is ignored in frame and bucket mode).
+	if (!isFrameMode && !bucket && (typeof wait !== "number" || wait < 0)) {
+		throw new TypeError('Expected a non-negative number or "raf" for wait');
 	}
 
+	// Input validation: Ensure 'clock' is usable.
+	validateClock(clock);
+
+	// Schedules the end of a window, and cancels it.
+	const scheduleWindowEnd = (callback) =>
+		useAnimationFrame ? requestAnimationFrame(callback) : clock.setTimeout(callback, isFrameMode ? FRAME_FALLBACK_MS : wait);
+	const cancelWindowEnd = (id) => (useAnimationFrame ? cancelAnimationFrame(id) : clock.clearTimeout(id));
+
+	// Invokes 'func' with the stored trailing call's arguments and clears them.
+	const invokePending = () => {
+		const args = pendingArgs;
+		const context = pendingContext;
+		hasPendingCall = false;
+		pendingArgs = pendingContext = undefined;
+		result = func.apply(context, args);
+	};
+
+	// Opens a new throttle window. Its end either runs the trailing call (which opens the next
+	// window, keeping invocations 'wait' apart) or lets the throttle go quiet.
+	const startWindow = () => {
+		timeoutId = scheduleWindowEnd(() => {
+			timeoutId = null;
+			if (trailing && hasPendingCall) {
+				invokePending();
+				startWindow();
+			}
+		});
+	};
+
+	// Bucket mode: 'timeoutId' is the timer waiting for the token a pending call needs.
+	const waitForToken = () => {
+		timeoutId = clock.setTimeout(() => {
+			timeoutId = null;
+			if (hasPendingCall) {
+				// Another consumer of the bucket may have taken the token first; then wait again.
+				bucket.tryTake() ? invokePending() : waitForToken();
+			}
+		}, bucket.getWaitTime());
+	};
+
+	// Bucket mode: run now if leading, a token is free and no earlier call is waiting for one,
+	// otherwise keep the latest call for the next token.
+	const callWithBucket = (context, args) => {
+		if (leading && timeoutId === null && bucket.tryTake()) {
+			result = func.apply(context, args);
+			return result;
+		}
+		if (trailing) {
+			pendingArgs = args;
+			pendingContext = context;
+			hasPendingCall = true;
+			if (timeoutId === null) {
+				waitForToken();
+			}
+		}
+		return result;
+	};
+
 	// This is the throttled function that will be returned and called by the user.
 	const throttled = function (...args) {
-		// Capture the 'this' context of the current call to 'throttled'.
-		// This ensures 'func' is executed with the correct 'this' binding.
-		const context = this;
-
-		// Check if the function is currently NOT in a throttled state.
-		if (!inThrottle) {
-			// If 'leading' option is true, execute the original function immediately.
+		if (bucket) {
+			return callWithBucket(this, args);
+		}
+		if (timeoutId === null) {
+			// No window is open: this call starts one.
+			startWindow();
 			if (leading) {
-				func.apply(context, args);
-			} else {
-				// If 'leading' is false, but it's the first call after a non-throttled state,
-				// store the function and current time to prepare for a potential trailing call.
-				lastFn = func;
-				lastTime = Date.now();
-			}
-			// Set 'inThrottle' to true to indicate that we've just entered a throttle period.
-			inThrottle = true;
-		} else {
-			// If the function IS currently in a throttled state (i.e., called within the 'wait' period),
-			// update 'lastFn' and 'lastTime' to ensure the latest call's context and arguments
-			// are considered for a potential trailing execution.
-			lastFn = func;
-			lastTime = Date.now();
-		}
-
-		// Clear any previously set timeout. This is crucial for the 'trailing' option,
-		// as it ensures the trailing execution only happens 'wait' milliseconds
-		// after the *very last call* within the throttled period.
-		clearTimeout(throttled.timeoutId);
-
-		// Set a new timeout. This timeout is responsible for:
-		// 1. Executing the 'func' for the trailing call (if 'trailing' is true).
-		// 2. Resetting the throttle state after the 'wait' period.
-		throttled.timeoutId = setTimeout(function () {
-			// If 'trailing' option is true AND there was at least one call during
-			// the throttled period (which would have set 'lastFn'), execute 'func'.
-			if (trailing && lastFn) {
-				func.apply(context, args);
-				// Clear 'lastFn' after trailing execution to prevent re-execution.
-				lastFn = null;
+				result = func.apply(this, args);
+				return result;
 			}
-			// Reset 'inThrottle' to false, making the function ready for a new
-			// leading execution or the start of a new trailing period.
-			inThrottle = false;
-			// Clear 'lastTime' as the throttle period has ended.
-			lastTime = null;
-		}, wait);
+		}
+		// Inside a window (or without a leading call): remember only the latest call for the
+		// trailing edge. The window's timer is deliberately NOT reset.
+		pendingArgs = args;
+		pendingContext = this;
+		hasPendingCall = true;
+		return result;
 	};
 
 	// Add a 'cancel' method directly to the returned 'throttled' function.
-	// This allows the user to cancel any pending throttled executions.
+	// This drops any pending trailing call and closes the current window.
 	throttled.cancel = function () {
-		// Clear any active timeout, preventing a trailing execution.
-		clearTimeout(throttled.timeoutId);
-		// Reset the throttle state.
-		inThrottle = false;
-		// Clear any stored function and time for trailing.
-		lastFn = null;
-		lastTime = null;
+		cancelWindowEnd(timeoutId);
+		timeoutId = null;
+		hasPendingCall = false;
+		pendingArgs = pendingContext = undefined;
+	};
+
+	// 'flush' runs a pending trailing call right away instead of at the end of the window.
+	// A fresh window starts from that invocation, so the next one is still 'wait' away.
+	// In bucket mode the flushed call still takes a token; without a free one it stays pending.
+	throttled.flush = function () {
+		if (hasPendingCall && (!bucket || bucket.tryTake())) {
+			cancelWindowEnd(timeoutId);
+			timeoutId = null;
+			invokePending();
+			if (!bucket) {
+				startWindow();
+			}
+		}
+		return result;
+	};
+
+	// 'pending' tells whether a trailing call is waiting for the end of the window.
+	throttled.pending = function () {
+		return hasPendingCall;
 	};
 
 	// Return the throttled function.
 	return throttled;
 }
 
-// Example Usage:
+/**
+ * Creates a debounced function that delays invoking `func` until `wait` milliseconds have
+ * passed without another call.
+ *
+ * A burst of calls (each less than `wait` apart) results in a single trailing invocation with
+ * the latest arguments and `this`. With `leading`, the first call of a burst invokes `func`
+ * right away instead; with both, a burst invokes it at the start and - if more calls followed -
+ * at the end. `maxWait` caps how long continuous input can hold back an invocation: while calls
+ * keep coming, a pending one runs at least every `maxWait` milliseconds.
+ *
+ * The debounced function returns the result of the most recent invocation of `func`, and has
+ * the same `cancel()`, `flush()` and `pending()` methods as `throttle`.
+ *
+ * @param {Function} func - The function to debounce.
+ * @param {number} wait - Milliseconds of quiet that end a burst.
+ * @param {object} [options]
+ * @param {boolean} [options.leading=false] - Invoke on the first call of a burst.
+ * @param {boolean} [options.trailing=true] - Invoke with the latest arguments once the burst ends.
+ * @param {number} [options.maxWait] - Maximum milliseconds a pending invocation can be delayed. Must be at least `wait`.
+ * @param {object} [options.clock] - Source of `now()`, `setTimeout()` and `clearTimeout()`. Defaults to the real clock.
+ * @returns {Function} The debounced function.
+ */
+function debounce(func, wait, options = {}) {
+	// waitTimeoutId: Ends the burst 'wait' milliseconds after the latest call; null between bursts.
+	// maxWaitTimeoutId: Forces an invocation 'maxWait' milliseconds into a burst (or after the last forced one).
+	// pendingArgs / pendingContext / hasPendingCall / result: As in 'throttle'.
+	let waitTimeoutId = null;
+	let maxWaitTimeoutId = null;
+	let pendingArgs, pendingContext, result;
+	let hasPendingCall = false;
 
-function logMessage(message) {
-	console.log(`[${Date.now()}] ${message}`);
+	const { leading = false, trailing = true, maxWait, clock = systemClock } = options;
+
+	if (typeof func !== "function") {
+		throw new TypeError("Expected a function");
+	}
+	if (typeof wait !== "number" || wait < 0) {
+		throw new TypeError("Expected a non-negative number for wait");
+	}
+	// Input validation: a 'maxWait' shorter than 'wait' would make it a throttle.
+	if (maxWait !== undefined && (typeof maxWait !== "number" || !(maxWait >= wait))) {
+		throw new TypeError("Expected maxWait to be a number no smaller than wait");
+	}
+	validateClock(clock);
+
+	const invokePending = () => {
+		const args = pendingArgs;
+		const context = pendingContext;
+		hasPendingCall = false;
+		pendingArgs = pendingContext = undefined;
+		result = func.apply(context, args);
+	};
+
+	// Runs a pending call once 'maxWait' has passed, then keeps the guarantee for the rest of the burst.
+	const startMaxWait = () => {
+		maxWaitTimeoutId = clock.setTimeout(() => {
+			if (hasPendingCall) {
+				invokePending();
+			}
+			startMaxWait();
+		}, maxWait);
+	};
+
+	// The burst is over: run the trailing call and reset, so the next call starts a new burst.
+	const endBurst = () => {
+		clock.clearTimeout(maxWaitTimeoutId);
+		waitTimeoutId = maxWaitTimeoutId = null;
+		if (trailing && hasPendingCall) {
+			invokePending();
+		}
+		hasPendingCall = false;
+		pendingArgs = pendingContext = undefined;
+	};
+
+	const debounced = function (...args) {
+		pendingArgs = args;
+		pendingContext = this;
+		hasPendingCall = true;
+
+		if (waitTimeoutId === null) {
+			// First call of a burst.
+			if (maxWait !== undefined) {
+				startMaxWait();
+			}
+			if (leading) {
+				invokePending();
+			}
+		} else {
+			// Unlike 'throttle', every call pushes the end of the burst back.
+			clock.clearTimeout(waitTimeoutId);
+		}
+		waitTimeoutId = clock.setTimeout(endBurst, wait);
+		return result;
+	};
+
+	// Drops any pending call and ends the current burst.
+	debounced.cancel = function () {
+		clock.clearTimeout(waitTimeoutId);
+		clock.clearTimeout(maxWaitTimeoutId);
+		waitTimeoutId = maxWaitTimeoutId = null;
+		hasPendingCall = false;
+		pendingArgs = pendingContext = undefined;
+	};
+
+	// Runs a pending call right away and ends the burst, e.g. when a search form is submitted.
+	debounced.flush = function () {
+		if (hasPendingCall) {
+			clock.clearTimeout(waitTimeoutId);
+			clock.clearTimeout(maxWaitTimeoutId);
+			waitTimeoutId = maxWaitTimeoutId = null;
+			invokePending();
+		}
+		return result;
+	};
+
+	// Whether a call is waiting to be invoked.
+	debounced.pending = function () {
+		return hasPendingCall;
+	};
+
+	return debounced;
 }
 
-console.log("--- Leading and Trailing ---");
-// Throttle 'logMessage' with a 1000ms wait, with both leading and trailing executions.
-const throttledLog1 = throttle(logMessage, 1000, { leading: true, trailing: true });
-throttledLog1("First call (should execute immediately)"); // Leading execution
-setTimeout(() => throttledLog1("Second call"), 200); // Call within throttle, sets up potential trailing
-setTimeout(() => throttledLog1("Third call"), 400); // Call within throttle, updates potential trailing
-setTimeout(() => throttledLog1("Fourth call"), 1100); // This call triggers a new throttle period. A trailing call will execute after 1000ms from the *last* call within the previous throttle period if no new calls come in.
-
-setTimeout(() => {
-	console.log("\n--- Leading only ---");
-	// Throttle 'logMessage' with a 1000ms wait, only leading execution.
-	const throttledLog2 = throttle(logMessage, 1000, { leading: true, trailing: false });
-	throttledLog2("First call leading only (should execute immediately)");
-	setTimeout(() => throttledLog2("Second call leading only"), 200); // Ignored, as it's within throttle and no trailing
-	setTimeout(() => throttledLog2("Third call leading only"), 400); // Ignored
-	setTimeout(() => throttledLog2("Fourth call leading only"), 1100); // Executes immediately as previous throttle ended
-}, 3000);
-
-setTimeout(() => {
-	console.log("\n--- Trailing only ---");
-	// Throttle 'logMessage' with a 1000ms wait, only trailing execution.
-	const throttledLog3 = throttle(logMessage, 1000, { leading: false, trailing: true });
-	throttledLog3("First call trailing only (should NOT execute immediately)"); // No leading execution
-	setTimeout(() => throttledLog3("Second call trailing only"), 200); // Sets up trailing
-	setTimeout(() => throttledLog3("Third call trailing only"), 400); // Updates trailing
-	setTimeout(() => throttledLog3("Fourth call trailing only"), 1100); // This call will initiate a new throttle period, and a trailing call will occur 1000ms from now.
-}, 6000);
-
-setTimeout(() => {
-	console.log("\n--- Cancel Method ---");
-	// Throttle 'logMessage' with leading and trailing.
-	const throttledLog4 = throttle(logMessage, 1000, { leading: true, trailing: true });
-	throttledLog4("Call before cancel"); // Executes immediately due to leading: true
+/**
+ * Creates a throttled version of an async function that starts it at most once per `wait`
+ * milliseconds and never runs two invocations at once.
+ *
+ * Every call returns a promise of the result, so callers can report success or failure:
+ * - While an invocation is in flight, calls share its promise instead of starting another.
+ * - Otherwise, if `wait` milliseconds have passed since the last invocation started, the call
+ *   starts a new one right away.
+ * - Otherwise the call joins the trailing invocation, which runs with the latest arguments and
+ *   `this` once the window has passed. All calls that joined it share its promise.
+ * The trailing invocation only covers calls made after the in-flight one settled, so it can't
+ * overlap one. A call that shares an in-flight promise gets that invocation's result; its own
+ * arguments aren't used.
+ *
+ * The throttled function has `cancel()`, which drops the trailing invocation (its promise
+ * rejects with an `AbortError`; an in-flight one is unaffected), and `pending()`.
+ *
+ * @param {Function} fn - The async function to throttle. A synchronous return value or throw is treated as a resolved or rejected promise.
+ * @param {number} wait - Minimum number of milliseconds between the starts of two invocations.
+ * @param {object} [options]
+ * @param {object} [options.clock] - Source of `now()`, `setTimeout()` and `clearTimeout()`. Defaults to the real clock.
+ * @returns {Function} The throttled function, returning a Promise.
+ */
+function throttleAsync(fn, wait, options = {}) {
+	// inFlight: The promise of the running invocation, or null.
+	// lastStartedAt: When the most recent invocation started.
+	// trailingCall: The scheduled trailing invocation: { args, context, promise, resolve, reject, timeoutId }, or null.
+	let inFlight = null;
+	let lastStartedAt = -Infinity;
+	let trailingCall = null;
+
+	const { clock = systemClock } = options;
+
+	if (typeof fn !== "function") {
+		throw new TypeError("Expected a function");
+	}
+	if (typeof wait !== "number" || wait < 0) {
+		throw new TypeError("Expected a non-negative number for wait");
+	}
+	validateClock(clock);
+
+	const invoke = (context, args) => {
+		lastStartedAt = clock.now();
+		const promise = new Promise((resolve) => resolve(fn.apply(context, args)));
+		inFlight = promise;
+		const settle = () => {
+			inFlight = null;
+		};
+		// Registered before any caller's handlers, so a caller reacting to the result can call again right away.
+		promise.then(settle, settle);
+		return promise;
+	};
+
+	const throttled = function (...args) {
+		if (inFlight) {
+			return inFlight;
+		}
+		const remaining = lastStartedAt + wait - clock.now();
+		if (remaining <= 0 && !trailingCall) {
+			return invoke(this, args);
+		}
+
+		if (!trailingCall) {
+			const call = {};
+			call.promise = new Promise((resolve, reject) => {
+				call.resolve = resolve;
+				call.reject = reject;
+			});
+			call.timeoutId = clock.setTimeout(() => {
+				trailingCall = null;
+				invoke(call.context, call.args).then(call.resolve, call.reject);
+			}, remaining);
+			trailingCall = call;
+		}
+		// The trailing invocation uses the latest call's arguments.
+		trailingCall.args = args;
+		trailingCall.context = this;
+		return trailingCall.promise;
+	};
+
+	throttled.cancel = function () {
+		if (trailingCall) {
+			clock.clearTimeout(trailingCall.timeoutId);
+			trailingCall.reject(new DOMException("Throttled call was cancelled.", "AbortError"));
+			trailingCall = null;
+		}
+	};
+
+	// Whether a trailing invocation is scheduled.
+	throttled.pending = function () {
+		return trailingCall !== null;
+	};
+
+	return throttled;
+}
+
+/**
+ * Creates a function that throttles calls independently per key, e.g. one autosave throttle
+ * per table row: `createKeyedThrottle(saveRow, 1000, { resolver: (row) => row.id })`.
+ *
+ * Each key gets its own `throttle` instance, created on its first call. A key whose throttle
+ * has gone quiet - no trailing call pending and `wait` passed since its last invocation - is
+ * evicted `idleTimeout` milliseconds after its last call, so keys that stop being used don't
+ * pile up (see the "forgotten cache" leak in `bit-advanced/memory-leaks.js`). An evicted key
+ * simply starts afresh on its next call.
+ *
+ * The returned function has `cancel(key)`, `flush(key)`, `cancelAll()` and `size()` methods.
+ *
+ * @param {Function} func - The function to throttle.
+ * @param {number} wait - Minimum number of milliseconds between invocations for the same key.
+ * @param {object} [options] - Any `throttle` option (`leading`, `trailing`, `clock`), plus:
+ * @param {Function} [options.resolver] - Maps a call's arguments to its key. Defaults to the first argument.
+ * @param {number} [options.idleTimeout=wait] - Milliseconds after a key's last call before it may be evicted. Must be at least `wait`.
+ * @returns {Function} The keyed throttled function.
+ */
+function createKeyedThrottle(func, wait, options = {}) {
+	const { resolver = (key) => key, idleTimeout = wait, ...throttleOptions } = options;
+	const { clock = systemClock } = throttleOptions;
+
+	if (typeof func !== "function") {
+		throw new TypeError("Expected a function");
+	}
+	if (typeof wait !== "number" || wait < 0) {
+		throw new TypeError("Expected a non-negative number for wait");
+	}
+	if (typeof resolver !== "function") {
+		throw new TypeError("Expected resolver to be a function");
+	}
+	// Input validation: evicting a key before its window closes would let it skip the throttle.
+	if (typeof idleTimeout !== "number" || !(idleTimeout >= wait)) {
+		throw new TypeError("Expected idleTimeout to be a number no smaller than wait");
+	}
+	validateClock(clock);
+
+	// Key -> { throttled, lastInvokedAt, evictionTimeoutId }
+	const entries = new Map();
+
+	// Evicts a key once its throttle is quiet; otherwise checks again when it could be.
+	const scheduleEviction = (key, entry, delay) => {
+		clock.clearTimeout(entry.evictionTimeoutId);
+		entry.evictionTimeoutId = clock.setTimeout(() => {
+			const sinceInvoked = clock.now() - entry.lastInvokedAt;
+			if (entry.throttled.pending() || sinceInvoked < wait) {
+				scheduleEviction(key, entry, entry.throttled.pending() ? wait : wait - sinceInvoked);
+			} else {
+				entries.delete(key);
+			}
+		}, delay);
+	};
+
+	const getEntry = (key) => {
+		let entry = entries.get(key);
+		if (!entry) {
+			entry = { lastInvokedAt: -Infinity, evictionTimeoutId: null };
+			entry.throttled = throttle(
+				function (...args) {
+					entry.lastInvokedAt = clock.now();
+					return func.apply(this, args);
+				},
+				wait,
+				throttleOptions
+			);
+			entries.set(key, entry);
+		}
+		return entry;
+	};
+
+	const keyed = function (...args) {
+		const key = resolver.apply(this, args);
+		const entry = getEntry(key);
+		scheduleEviction(key, entry, idleTimeout);
+		return entry.throttled.apply(this, args);
+	};
+
+	// Drops the key's pending trailing call and forgets the key.
+	keyed.cancel = function (key) {
+		const entry = entries.get(key);
+		if (entry) {
+			entry.throttled.cancel();
+			clock.clearTimeout(entry.evictionTimeoutId);
+			entries.delete(key);
+		}
+	};
+
+	// Runs the key's pending trailing call right away. Returns the key's last result.
+	keyed.flush = function (key) {
+		const entry = entries.get(key);
+		return entry ? entry.throttled.flush() : undefined;
+	};
+
+	// Cancels every key, e.g. when the component owning the rows unmounts.
+	keyed.cancelAll = function () {
+		for (const key of [...entries.keys()]) {
+			keyed.cancel(key);
+		}
+	};
+
+	// The number of keys currently tracked.
+	keyed.size = function () {
+		return entries.size;
+	};
+
+	return keyed;
+}
+
+module.exports = { throttle, debounce, throttleAsync, createKeyedThrottle };
+
+// Example Usage:
+
+// Only when run directly (`node js-native-throttling.js`), so requiring the module has no side effects.
+if (require.main === module) {
+	function logMessage(message) {
+		console.log(`[${Date.now()}] ${message}`);
+	}
+
+	console.log("--- Leading and Trailing ---");
+	// Throttle 'logMessage' with a 1000ms wait, with both leading and trailing executions.
+	const throttledLog1 = throttle(logMessage, 1000, { leading: true, trailing: true });
+	throttledLog1("First call (should execute immediately)"); // Leading execution
+	setTimeout(() => throttledLog1("Second call"), 200); // Call within throttle, sets up potential trailing
+	setTimeout(() => throttledLog1("Third call"), 400); // Call within throttle, replaces the trailing call's arguments
+	// At 1000ms the window closes: "Third call" runs as the trailing call and opens the next window.
+	setTimeout(() => throttledLog1("Fourth call"), 1100); // Falls inside that window, so it runs as its trailing call at 2000ms.
+
+	setTimeout(() => {
+		console.log("\n--- Leading only ---");
+		// Throttle 'logMessage' with a 1000ms wait, only leading execution.
+		const throttledLog2 = throttle(logMessage, 1000, { leading: true, trailing: false });
+		throttledLog2("First call leading only (should execute immediately)");
+		setTimeout(() => throttledLog2("Second call leading only"), 200); // Ignored, as it's within throttle and no trailing
+		setTimeout(() => throttledLog2("Third call leading only"), 400); // Ignored
+		setTimeout(() => throttledLog2("Fourth call leading only"), 1100); // Executes immediately as previous throttle ended
+	}, 3000);
+
+	setTimeout(() => {
+		console.log("\n--- Trailing only ---");
+		// Throttle 'logMessage' with a 1000ms wait, only trailing execution.
+		const throttledLog3 = throttle(logMessage, 1000, { leading: false, trailing: true });
+		throttledLog3("First call trailing only (should NOT execute immediately)"); // No leading execution
+		setTimeout(() => throttledLog3("Second call trailing only"), 200); // Sets up trailing
+		setTimeout(() => throttledLog3("Third call trailing only"), 400); // Updates trailing; runs at 1000ms
+		setTimeout(() => throttledLog3("Fourth call trailing only"), 1100); // Runs at 2000ms, when the window opened by the previous trailing call closes.
+	}, 6000);
+
+	setTimeout(() => {
+		console.log("\n--- Cancel Method ---");
+		// Throttle 'logMessage' with leading and trailing.
+		const throttledLog4 = throttle(logMessage, 1000, { leading: true, trailing: true });
+		throttledLog4("Call before cancel"); // Executes immediately due to leading: true
+		setTimeout(() => {
+			throttledLog4("Call to be cancelled"); // This would normally set up a trailing call
+			throttledLog4.cancel(); // BUT, we immediately cancel any pending execution.
+			console.log("Cancelled pending throttle.");
+		}, 500);
+		setTimeout(() => {
+			throttledLog4("Call after cancel"); // A new throttle period starts, so this executes immediately.
+		}, 1500);
+	}, 9000);
+
 	setTimeout(() => {
-		throttledLog4("Call to be cancelled"); // This would normally set up a trailing call
-		throttledLog4.cancel(); // BUT, we immediately cancel any pending execution.
-		console.log("Cancelled pending throttle.");
-	}, 500);
+		console.log("\n--- Fake Clock ---");
+		// With a fake clock, time only moves when we advance it, so the output is deterministic.
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		const throttledLog5 = throttle((message) => console.log(`[t=${clock.now()}ms] ${message}`), 1000, { clock });
+		// A steady stream of calls every 100ms still invokes the function once per second.
+		for (let time = 0; time <= 2500; time += 100) {
+			clock.setTimeout(() => throttledLog5(`Call made at ${time}ms`), time);
+		}
+		clock.runAll();
+	}, 12000);
+
+	setTimeout(() => {
+		console.log("\n--- Flush, Pending and Return Value ---");
+		const throttledDouble = throttle((n) => n * 2, 1000);
+		console.log("Leading call returns:", throttledDouble(1)); // 2
+		console.log("Throttled call returns the last result:", throttledDouble(5)); // Still 2
+		console.log("Trailing call pending?", throttledDouble.pending()); // true
+		console.log("Flush runs it now:", throttledDouble.flush()); // 10
+		console.log("Trailing call pending?", throttledDouble.pending()); // false
+		throttledDouble.cancel();
+	}, 15000);
+
+	setTimeout(() => {
+		console.log("\n--- Debounce: Search as You Type ---");
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		const search = (label) => (query) => console.log(`[t=${clock.now()}ms] ${label}: search "${query}"`);
+		const debouncedSearch = debounce(search("debounce"), 300, { clock });
+		const cappedSearch = debounce(search("maxWait 500"), 300, { maxWait: 500, clock });
+
+		// Someone types "throttle" at one key per 100ms, then pauses.
+		"throttle".split("").forEach((_, index, letters) => {
+			clock.setTimeout(() => {
+				const query = letters.slice(0, index + 1).join("");
+				debouncedSearch(query); // Only runs once typing stops
+				cappedSearch(query); // Also runs every 500ms while typing continues
+			}, index * 100);
+		});
+		clock.runAll();
+	}, 18000);
+
+	setTimeout(() => {
+		console.log("\n--- Debounce: Leading, Flush and Cancel ---");
+		const debouncedSave = debounce((draft) => console.log(`Saved "${draft}"`), 1000, { leading: true });
+		debouncedSave("H"); // Leading call: saved immediately
+		debouncedSave("He");
+		debouncedSave("Hello");
+		console.log("Save pending?", debouncedSave.pending()); // true
+		debouncedSave.flush(); // Saves "Hello" now instead of after 1000ms of quiet
+		debouncedSave("Hello, world"); // flush() ended the burst, so this leading call saves immediately
+		debouncedSave("Hello, world!"); // Pending until 1000ms of quiet...
+		debouncedSave.cancel(); // ...but cancelled, so it is never saved
+		console.log("Save pending?", debouncedSave.pending()); // false
+	}, 19000);
+
+	setTimeout(() => {
+		console.log("\n--- Async Throttle: Autosave ---");
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		const log = (message) => console.log(`[t=${clock.now()}ms] ${message}`);
+		let saves = 0;
+		// Each save takes 300ms; the third one fails.
+		const saveDraft = throttleAsync(
+			(draft) => {
+				const attempt = ++saves;
+				log(`Saving "${draft}"`);
+				return new Promise((resolve, reject) =>
+					clock.setTimeout(() => (attempt === 3 ? reject(new Error("Network error")) : resolve(draft)), 300)
+				);
+			},
+			1000,
+			{ clock }
+		);
+		const type = (text, at) =>
+			clock.setTimeout(() => {
+				saveDraft(text).then(
+					(saved) => log(`Call made with "${text}" resolved: saved "${saved}"`),
+					(error) => log(`Call made with "${text}" rejected: ${error.message}`)
+				);
+			}, at);
+
+		type("H", 0); // Starts a save right away
+		type("He", 100); // Shares the save in flight, so it resolves with "H"
+		type("Hel", 500); // That save has settled: joins the trailing save at 1000ms
+		type("Hell", 700); // Also joins it; the trailing save uses the latest draft
+		type("Hello", 1100); // Shares the trailing save in flight
+		type("Hello!", 1500); // Joins the next trailing save at 2000ms, which fails
+		type("Hello!!", 3500); // Long after the last save: starts a new one right away
+		clock.runAll();
+	}, 20000);
+
+	setTimeout(() => {
+		console.log("\n--- Keyed Throttle: Per-Row Autosave ---");
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		const saveRow = createKeyedThrottle((row) => console.log(`[t=${clock.now()}ms] Saving row ${row.id}: ${row.value}`), 1000, {
+			resolver: (row) => row.id,
+			idleTimeout: 5000,
+			clock,
+		});
+
+		clock.setTimeout(() => saveRow({ id: 1, value: "a" }), 0); // Row 1 saves immediately
+		clock.setTimeout(() => saveRow({ id: 2, value: "x" }), 100); // Row 2 has its own throttle: saves immediately too
+		clock.setTimeout(() => saveRow({ id: 1, value: "ab" }), 200); // Row 1 is throttled...
+		clock.setTimeout(() => saveRow({ id: 1, value: "abc" }), 300); // ...and saves "abc" at 1000ms
+		clock.setTimeout(() => saveRow({ id: 2, value: "xy" }), 400);
+		clock.setTimeout(() => saveRow.flush(2), 500); // Row 2 saves "xy" now instead of at 1100ms
+		clock.setTimeout(() => console.log(`[t=${clock.now()}ms] Tracked rows: ${saveRow.size()}`), 2000);
+		clock.runAll().then(() => console.log(`[t=${clock.now()}ms] Idle rows evicted, tracked rows: ${saveRow.size()}`));
+	}, 22000);
+
 	setTimeout(() => {
-		throttledLog4("Call after cancel"); // A new throttle period starts, so this executes immediately.
-	}, 1500);
-}, 9000);
+		console.log("\n--- Animation Frame Mode ---");
+		// Outside the browser, "raf" falls back to a 16ms timer: here a fake clock's.
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		let renders = 0;
+		const onMouseMove = throttle(() => renders++, "raf", { clock });
+		// A fast mouse fires an event every 4ms for 200ms...
+		for (let time = 0; time < 200; time += 4) {
+			clock.setTimeout(() => onMouseMove({ x: time }), time);
+		}
+		// ...but the handler only runs about once per frame.
+		clock.runAll().then(() => console.log(`50 mousemove events, ${renders} handler runs`));
+	}, 24000);
+
+	setTimeout(() => {
+		console.log("\n--- Token Bucket ---");
+		// One bucket paces two handlers together: bursts of 3, then 2 calls per second between them.
+		const { createTokenBucket } = require("./create-token-bucket");
+		const { createFakeClock } = require("./create-fake-clock");
+		const clock = createFakeClock();
+		const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 2, clock });
+		const sync = (source) =>
+			throttle((change) => console.log(`[t=${clock.now()}ms] Syncing ${source} change ${change}`), undefined, { bucket, clock });
+		const syncNotes = sync("notes");
+		const syncTodos = sync("todos");
+
+		[1, 2].forEach((change) => syncNotes(change)); // Both run: the bucket allows a burst
+		[1, 2, 3].forEach((change) => syncTodos(change)); // 1 runs; 2 and 3 wait, and only 3 (the latest) runs at 500ms
+		clock.setTimeout(() => syncNotes(3), 600); // Waits for the token after that, at 1000ms
+		clock.runAll();
+	}, 26000);
+}
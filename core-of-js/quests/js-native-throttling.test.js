@@ -0,0 +1,43 @@
+// Run with `node --test` from this folder. The throttle runs on a fake clock, so its windows
+// are checked without real waits.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { throttle, throttleAsync } = require("./js-native-throttling");
+const { createFakeClock } = require("./create-fake-clock");
+
+test("invokes once per window, with the latest arguments", async () => {
+	const clock = createFakeClock();
+	const calls = [];
+	const throttled = throttle((value) => calls.push(`${value}@${clock.now()}`), 1000, { clock });
+
+	for (let time = 0; time <= 1500; time += 300) {
+		clock.setTimeout(() => throttled(time), time);
+	}
+	await clock.runAll();
+	assert.deepStrictEqual(calls, ["0@0", "900@1000", "1500@2000"]);
+});
+
+test("throttleAsync shares the in-flight promise and runs a trailing call after it settles", async () => {
+	const clock = createFakeClock();
+	const starts = [];
+	const save = throttleAsync(
+		(draft) => {
+			starts.push(`${draft}@${clock.now()}`);
+			return new Promise((resolve) => clock.setTimeout(() => resolve(draft), 300));
+		},
+		1000,
+		{ clock },
+	);
+
+	const first = save("H");
+	assert.strictEqual(save("He"), first); // In flight: shares its promise
+	await clock.advance(500);
+	const trailing = save("Hel"); // Settled, but within the window: scheduled for 1000ms
+	assert.notStrictEqual(trailing, first);
+	assert.strictEqual(save("Hell"), trailing);
+	assert.strictEqual(save.pending(), true);
+
+	await clock.runAll();
+	assert.deepStrictEqual(await Promise.all([first, trailing]), ["H", "Hell"]);
+	assert.deepStrictEqual(starts, ["H@0", "Hell@1000"]);
+});
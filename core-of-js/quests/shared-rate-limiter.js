@@ -0,0 +1,225 @@
+const { validateBucketOptions, validateTokenCount, getRefillTime } = require("./create-token-bucket");
+
+/**
+ * Creates a token bucket whose state lives in a `SharedArrayBuffer`, so several
+ * `worker_threads` (and the main thread) draw from one shared limit.
+ *
+ * A plain `createTokenBucket()` or `throttle` keeps its state in the thread that created it:
+ * with N workers each enforcing "5 per second", the downstream service sees 5N. Here the token
+ * count and the time of the last refill sit in shared memory and are only read and updated under
+ * a lock built on `Atomics`, so every thread sees the same bucket. (A `SharedArrayBuffer` can
+ * only be shared between threads of one process; separate processes need an external store.)
+ *
+ * Create the bucket once, send `bucket.buffer` to the workers (in `workerData`, a message, or
+ * the `args` of a `createAsyncQueue` worker task - it is shared, not copied), and attach to it
+ * there with `createSharedTokenBucket({ buffer })`.
+ *
+ * The bucket has the same `tryTake`, `take`, `getWaitTime` and `getState` methods as
+ * `createTokenBucket()`, so it can be used as a `throttle` `bucket` or a `createAsyncQueue`
+ * `rateLimiter` in any thread. For "at most once per `wait` ms" across threads, use
+ * `capacity: 1` and `refillPerSecond: 1000 / wait`.
+ * Unlike `createTokenBucket()`, `take()` waiters are not served in FIFO order: whichever thread
+ * tries first once a token is available gets it.
+ *
+ * @param {object} options
+ * @param {SharedArrayBuffer} [options.buffer] - The state of an existing bucket to attach to. The other options are then ignored.
+ * @param {number} [options.capacity] - Maximum number of tokens (the largest burst). Required without `buffer`.
+ * @param {number} [options.refillPerSecond] - Tokens added per second. Required without `buffer`.
+ * @param {number} [options.initialTokens=capacity] - Tokens available right away.
+ * @returns {object} The bucket: `tryTake`, `take`, `getWaitTime`, `getState` and the shared `buffer`.
+ */
+function createSharedTokenBucket({ buffer, capacity, refillPerSecond, initialTokens = capacity }) {
+	if (buffer === undefined) {
+		validateBucketOptions({ capacity, refillPerSecond, initialTokens });
+		buffer = new SharedArrayBuffer(SHARED_BUCKET_BYTES);
+		const state = new Float64Array(buffer, STATE_OFFSET, STATE_SLOTS);
+		state[CAPACITY] = capacity;
+		state[REFILL_PER_SECOND] = refillPerSecond;
+		state[TOKENS] = initialTokens;
+		state[LAST_REFILL_AT] = Date.now();
+	} else if (!(buffer instanceof SharedArrayBuffer) || buffer.byteLength !== SHARED_BUCKET_BYTES) {
+		throw new Error("Buffer must be the SharedArrayBuffer of another shared token bucket.");
+	}
+
+	const lock = new Int32Array(buffer, 0, 1);
+	const state = new Float64Array(buffer, STATE_OFFSET, STATE_SLOTS);
+	// Written once by the creating thread, before the buffer could be shared.
+	const bucketCapacity = state[CAPACITY];
+	const bucketRefillPerSecond = state[REFILL_PER_SECOND];
+
+	/**
+	 * Runs `fn` while holding the bucket's lock. Contended threads sleep on the lock word
+	 * rather than spin; the lock is only ever held for a few arithmetic operations.
+	 */
+	const withLock = (fn) => {
+		while (Atomics.compareExchange(lock, 0, UNLOCKED, LOCKED) !== UNLOCKED) {
+			Atomics.wait(lock, 0, LOCKED, 1);
+		}
+		try {
+			return fn();
+		} finally {
+			Atomics.store(lock, 0, UNLOCKED);
+			Atomics.notify(lock, 0, 1);
+		}
+	};
+
+	/**
+	 * Adds the tokens earned since the last refill. Must be called with the lock held.
+	 */
+	const refill = () => {
+		const now = Date.now();
+		// Threads may read the clock slightly out of order; never move the refill time backwards.
+		if (now > state[LAST_REFILL_AT]) {
+			state[TOKENS] = Math.min(bucketCapacity, state[TOKENS] + ((now - state[LAST_REFILL_AT]) * bucketRefillPerSecond) / 1000);
+			state[LAST_REFILL_AT] = now;
+		}
+	};
+
+	/**
+	 * Milliseconds until `count` tokens are available. Must be called with the lock held.
+	 */
+	const waitTimeFor = (count) => {
+		refill();
+		const missing = count - state[TOKENS];
+		return missing <= 0 ? 0 : getRefillTime(missing, bucketRefillPerSecond);
+	};
+
+	const bucket = {
+		/**
+		 * The shared state, to hand to other threads.
+		 */
+		buffer,
+
+		/**
+		 * Takes `count` tokens if they are available right now.
+		 * @param {number} [count=1]
+		 * @returns {boolean} Whether the tokens were taken.
+		 */
+		tryTake(count = 1) {
+			validateTokenCount(count, bucketCapacity);
+			return withLock(() => {
+				if (waitTimeFor(count) > 0) {
+					return false;
+				}
+				state[TOKENS] -= count;
+				return true;
+			});
+		},
+
+		/**
+		 * Takes `count` tokens, waiting for them if necessary. Waiting doesn't block the thread.
+		 * @param {number} [count=1]
+		 * @param {object} [options]
+		 * @param {AbortSignal} [options.signal] - Stops waiting; the promise rejects with the signal's reason.
+		 * @returns {Promise<void>} Resolves once the tokens have been taken.
+		 */
+		take(count = 1, { signal } = {}) {
+			validateTokenCount(count, bucketCapacity);
+			return new Promise((resolve, reject) => {
+				let timerId;
+				const onAbort = () => {
+					clearTimeout(timerId);
+					reject(signal.reason);
+				};
+				const attempt = () => {
+					if (signal?.aborted) {
+						onAbort();
+						return;
+					}
+					const delay = withLock(() => {
+						const wait = waitTimeFor(count);
+						if (wait === 0) {
+							state[TOKENS] -= count;
+						}
+						return wait;
+					});
+					if (delay === 0) {
+						signal?.removeEventListener("abort", onAbort);
+						resolve();
+					} else {
+						// Another thread may get there first; then this one simply tries again.
+						timerId = setTimeout(attempt, delay);
+					}
+				};
+				signal?.addEventListener("abort", onAbort, { once: true });
+				attempt();
+			});
+		},
+
+		/**
+		 * Milliseconds until `count` tokens could be taken. 0 means `tryTake(count)` would succeed now
+		 * (unless another thread takes them first).
+		 * @param {number} [count=1]
+		 * @returns {number}
+		 */
+		getWaitTime(count = 1) {
+			validateTokenCount(count, bucketCapacity);
+			return withLock(() => waitTimeFor(count));
+		},
+
+		/**
+		 * A snapshot of the bucket.
+		 * @returns {object} `{ tokens, capacity, refillPerSecond }`
+		 */
+		getState() {
+			return withLock(() => {
+				refill();
+				return { tokens: state[TOKENS], capacity: bucketCapacity, refillPerSecond: bucketRefillPerSecond };
+			});
+		},
+	};
+
+	return bucket;
+}
+
+// Shared memory layout: an Int32 lock word (padded to 8 bytes), then four Float64 slots.
+const UNLOCKED = 0;
+const LOCKED = 1;
+const STATE_OFFSET = 8;
+const STATE_SLOTS = 4;
+const [CAPACITY, REFILL_PER_SECOND, TOKENS, LAST_REFILL_AT] = [0, 1, 2, 3];
+const SHARED_BUCKET_BYTES = STATE_OFFSET + STATE_SLOTS * Float64Array.BYTES_PER_ELEMENT;
+
+module.exports = { createSharedTokenBucket };
+
+// Example Usage:
+
+if (require.main === module) {
+	const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+	if (isMainThread) {
+		// Three workers call the same downstream API, which allows bursts of 2 and 4 calls per second.
+		const bucket = createSharedTokenBucket({ capacity: 2, refillPerSecond: 4 });
+		const startedAt = Date.now();
+		const calls = [];
+
+		const workers = [1, 2, 3].map(
+			(workerId) =>
+				new Promise((resolve, reject) => {
+					// This same file runs in each worker: see the else branch below.
+					const worker = new Worker(__filename, { workerData: { buffer: bucket.buffer, calls: 4 } });
+					worker.on("message", (calledAt) => calls.push({ workerId, offset: calledAt - startedAt }));
+					worker.on("error", reject);
+					worker.on("exit", resolve);
+				})
+		);
+
+		Promise.all(workers).then(() => {
+			calls.sort((a, b) => a.offset - b.offset);
+			for (const { workerId, offset } of calls) {
+				console.log(`[+${String(Math.round(offset / 10) * 10).padStart(4)}ms] API call from worker ${workerId}`);
+			}
+			// With private limiters this would take 0.5s (each worker bursting 2, then 4/s of its own).
+			console.log(`${calls.length} calls took ${(calls[calls.length - 1].offset / 1000).toFixed(1)}s: one shared limit of 4/s.`);
+		});
+	} else {
+		// Inside a worker: attach to the shared bucket and make the calls.
+		const bucket = createSharedTokenBucket({ buffer: workerData.buffer });
+		(async () => {
+			for (let call = 0; call < workerData.calls; call++) {
+				await bucket.take();
+				parentPort.postMessage(Date.now());
+			}
+		})();
+	}
+}
@@ -37,21 +37,35 @@ const MouseTracker = (props) => {
 	// 1. Manage internal state using useState Hook
 	const [mousePosition, setMousePosition] = React.useState({ x: 0, y: 0 });
 
-	// Event handler for mouse movement
-	const handleMouseMove = (event) => {
-		setMousePosition({
-			x: event.clientX,
-			y: event.clientY,
-		});
-	};
-
 	// 2. Set up and clean up side effects using useEffect Hook
 	React.useEffect(() => {
+		// Event handler for mouse movement. mousemove can fire many times per frame, so updates are
+		// limited to one state update (and re-render) per animation frame, using the latest position.
+		// This is what `throttle(fn, "raf")` in core-of-js/quests/js-native-throttling.js does, but
+		// that file is a CommonJS module for Node (it requires ./clock), and this guide is a
+		// standalone script that uses the global `React` with no imports or bundler, so it can't
+		// load it. The frame coalescing is written out here instead.
+		let frameId = null;
+		let latestPosition = null;
+		const handleMouseMove = (event) => {
+			latestPosition = { x: event.clientX, y: event.clientY };
+			if (frameId === null) {
+				frameId = requestAnimationFrame(() => {
+					frameId = null;
+					setMousePosition(latestPosition);
+				});
+			}
+		};
+
 		window.addEventListener("mousemove", handleMouseMove);
 
 		// Cleanup function: runs when the component unmounts or dependencies change
 		return () => {
 			window.removeEventListener("mousemove", handleMouseMove);
+			// Drop an update still waiting for the next frame, so state isn't set after unmounting.
+			if (frameId !== null) {
+				cancelAnimationFrame(frameId);
+			}
 		};
 	}, []); // Empty dependency array means this effect runs once on mount and cleans up on unmount
 